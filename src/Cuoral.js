@@ -0,0 +1,132 @@
+// src/Cuoral.js
+import { CuoralValidationError } from './api/errors';
+import { validateCustomAttributes } from './identity/customAttributes';
+import { emitCuoralEvent } from './events';
+
+// The mounted CuoralLauncher registers a handler here so the chat can be
+// controlled from anywhere in the host app, e.g. a "Contact support" button.
+let launcherHandler = null;
+// Commands issued before any launcher mounted, replayed in order once one registers.
+let pendingCommands = [];
+
+const dispatch = (command) => {
+  if (launcherHandler) {
+    launcherHandler(command);
+  } else {
+    pendingCommands.push(command);
+  }
+};
+
+/**
+ * Registers the handler that executes launcher commands. Only one launcher can
+ * be controlled at a time; the most recently mounted one wins.
+ *
+ * @param {Function} handler - Receives `{ type, sessionId?, prefillMessage?, user?, attributes? }` commands.
+ * @returns {Function} Unregisters the handler.
+ */
+export const registerLauncher = (handler) => {
+  launcherHandler = handler;
+  const commands = pendingCommands;
+  pendingCommands = [];
+  commands.forEach((command) => {
+    try {
+      handler(command);
+    } catch (error) {
+      // The caller has long returned, so report it the way other failures are
+      emitCuoralEvent('error', { error });
+    }
+  });
+
+  return () => {
+    if (launcherHandler === handler) {
+      launcherHandler = null;
+    }
+  };
+};
+
+/**
+ * Builds the command for `identify()`, rejecting a user without an email.
+ *
+ * @param {object} user - `{ email, firstName?, lastName? }`.
+ * @returns {object} The command.
+ */
+export const createIdentifyCommand = (user) => {
+  if (!user || !user.email) {
+    throw new CuoralValidationError('identify() requires an email.');
+  }
+  return { type: 'identify', user };
+};
+
+/**
+ * Builds the command for `updateAttributes()`, rejecting invalid attributes.
+ *
+ * @param {object} attributes - See `validateCustomAttributes`.
+ * @returns {object} The command.
+ */
+export const createUpdateAttributesCommand = (attributes) => ({
+  type: 'updateAttributes',
+  attributes: validateCustomAttributes(attributes),
+});
+
+/**
+ * Imperative API for the chat launched by CuoralLauncher.
+ */
+const Cuoral = {
+  /** Opens the chat on its default screen. */
+  open: () => dispatch({ type: 'open' }),
+
+  /** Closes the chat. */
+  close: () => dispatch({ type: 'close' }),
+
+  /**
+   * Opens the chat directly on an existing conversation.
+   *
+   * @param {string} sessionId - The conversation to show.
+   */
+  openConversation: (sessionId) =>
+    dispatch({ type: 'openConversation', sessionId }),
+
+  /**
+   * Ends the current conversation and opens the chat on a new one.
+   *
+   * @param {object} [options]
+   * @param {string} [options.prefillMessage] - Text to pre-fill in the message input.
+   */
+  startNewConversation: ({ prefillMessage } = {}) =>
+    dispatch({ type: 'startNewConversation', prefillMessage }),
+
+  /**
+   * Tells the chat who the user is, e.g. after they log in to your app. Their
+   * details are attached to the current conversation; if a different user was
+   * using it, everything stored for them is cleared and a new conversation
+   * starts instead.
+   *
+   * @param {object} user
+   * @param {string} user.email
+   * @param {string} [user.firstName]
+   * @param {string} [user.lastName]
+   */
+  identify: (user) => dispatch(createIdentifyCommand(user)),
+
+  /**
+   * Forgets the current user, e.g. when they log out of your app: closes the
+   * chat, stops their push notifications and clears their conversation and
+   * everything cached for it from the device.
+   */
+  logout: () => dispatch({ type: 'logout' }),
+
+  /**
+   * Adds or changes custom attributes on the user's conversations, e.g. their
+   * plan after an upgrade. Merged into the `customAttributes` prop; set an
+   * attribute to null to clear it. Cleared by `logout()`.
+   *
+   * @param {object} attributes - E.g. `{ plan: 'pro', seats: 5 }`.
+   * @throws {CuoralValidationError} If a key or value is invalid, or the merged
+   *   attributes would be (e.g. more than 50), in which case none are changed.
+   *   Calls made before the launcher mounted report this through `onError`.
+   */
+  updateAttributes: (attributes) =>
+    dispatch(createUpdateAttributesCommand(attributes)),
+};
+
+export default Cuoral;
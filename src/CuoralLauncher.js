@@ -1,6 +1,16 @@
 // src/CuoralLauncher.js
-import React, { useState } from 'react';
+import React, {
+  forwardRef,
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  useMemo,
+  useRef,
+  useState,
+} from 'react';
+import * as Notifications from 'expo-notifications';
 import {
+  AppState,
   TouchableOpacity,
   StyleSheet,
   Text,
@@ -11,12 +21,56 @@ import {
 } from 'react-native';
 import CuoralModal from './CuoralModal'; // Import the modal that contains the chat UI
 import { CuoralProvider } from './context/CuoralContext'; // Import context provider
+import {
+  createIdentifyCommand,
+  createUpdateAttributesCommand,
+  registerLauncher,
+} from './Cuoral';
+import cuoralEvents, { emitCuoralEvent } from './events';
+import { resolveEndpoints } from './api/endpoints';
+import { createCuoralApiClient } from './api/CuoralApiClient';
+import { fetchUnreadCount } from './messaging/unread';
+import { validateCustomAttributes } from './identity/customAttributes';
+import {
+  ANONYMOUS_USER,
+  SESSION_STORAGE_KEY,
+  clearStoredUserData,
+  moveStoredSession,
+} from './identity/userData';
+import {
+  ANONYMOUS_USER_ID,
+  createCuoralStorage,
+  getStorageUserId,
+  migrateLegacyStorage,
+} from './storage/cuoralStorage';
+import { handleCuoralNotificationResponse } from './notifications/notificationResponse';
+
+// Badges show at most this many unread messages, e.g. "99+"
+const MAX_BADGE_COUNT = 99;
+
+// Callback props and the SDK event each one listens to
+const EVENT_CALLBACK_PROPS = {
+  onOpen: 'open',
+  onClose: 'close',
+  onSessionStarted: 'sessionStarted',
+  onSessionClosed: 'sessionClosed',
+  onMessageSent: 'messageSent',
+  onMessageReceived: 'messageReceived',
+  onEscalated: 'escalated',
+  onError: 'error',
+  onScreenChange: 'screenChange',
+};
 
 /**
  * CuoralLauncher component provides a floating action button (FAB)
  * that, when pressed, launches a native modal containing the Cuoral chat UI.
  * It handles the initial session check and initiation with a loader.
  *
+ * The chat can also be controlled imperatively, either through a ref
+ * (`ref.current.open()`) or the `Cuoral` singleton (`Cuoral.open()`), with
+ * `open`, `close`, `openConversation(sessionId)` and
+ * `startNewConversation({ prefillMessage })`.
+ *
  * @param {object} props - The component props.
  * @param {string} props.publicKey - Your public key for the Cuoral widget.
  * @param {string} [props.email] - Optional: User's email to pre-fill.
@@ -24,26 +78,322 @@ import { CuoralProvider } from './context/CuoralContext'; // Import context prov
  * @param {string} [props.lastName] - Optional: User's last name to pre-fill.
  * @param {string} [props.backgroundColor='#2196F3'] - Optional: Background color of the FAB. Defaults to blueAccent.
  * @param {React.ReactNode} [props.icon] - Optional: Icon element to display on the FAB. Defaults to a chat emoji.
- * @param {boolean} [props.isVisible=true] - Optional: Whether the FAB is visible. Defaults to true.
+ * @param {boolean} [props.isVisible=true] - Optional: Whether the FAB is visible. Defaults to true. The chat can still be opened imperatively when hidden.
  * @param {string} [props.position='bottomRight'] - Optional: Position of the FAB. 'bottomRight', 'topRight', 'topLeft', 'bottomLeft'.
+ * @param {string} [props.apiBaseUrl] - Optional: Base URL of the Cuoral API. Defaults to 'https://api.cuoral.com'.
+ * @param {string} [props.socketUrl] - Optional: URL of the Cuoral Socket.IO server. Defaults to 'https://wss.cuoral.com/'.
+ * @param {object} [props.endpoints] - Optional: Per-endpoint URL overrides (initiateSession, getUserSessions, getSession, setProfile, fileUpload, stopBot, registerPushToken, unregisterPushToken).
+ * @param {boolean} [props.showUnreadBadge=true] - Optional: Show the number of unread replies on the FAB.
+ * @param {string} [props.badgeColor='#E53935'] - Optional: Background color of the unread badge.
+ * @param {string} [props.badgeTextColor='white'] - Optional: Text color of the unread badge.
+ * @param {Function} [props.onUnreadCountChange] - Optional: Called with the unread count whenever it changes, e.g. to badge a tab bar.
+ * @param {boolean} [props.enablePushNotifications=false] - Optional: Ask for notification permission and register the device's
+ *   push token with Cuoral, so agent replies can be delivered while the app is in the background.
+ * @param {Function} [props.onPushPermissionResult] - Optional: Called with the permission status ('granted', 'denied' or 'undetermined').
+ * @param {boolean} [props.handleNotificationResponses=true] - Optional: Open the conversation when the user taps a Cuoral
+ *   notification, including one that launched the app. Turn off to route taps yourself with `handleCuoralNotificationResponse`.
+ * @param {object} [props.notifications] - Optional: Local notifications for incoming replies:
+ *   `{ enabled = true, suppressWhileChatVisible = true, formatNotification(message) => ({ title, body }), androidChannelId }`.
+ * @param {number|string|object|null} [props.soundSource] - Optional: Sound played when a reply arrives: a `require()`d asset,
+ *   a URI or `{ uri }`. Defaults to a bundled chime; pass null for no sound. Users can mute it from the chat header.
+ * @param {string} [props.userHash] - Optional: HMAC-SHA256 of `email` with your Cuoral identity secret, computed on your server.
+ * @param {string} [props.identityToken] - Optional: JWT identifying the user, signed on your server. Use instead of `userHash`.
+ * @param {boolean} [props.requireIdentityVerification=false] - Optional: Refuse to list the user's conversations without
+ *   `userHash` or `identityToken`. Always enforced when your organisation requires verification.
+ * @param {boolean} [props.requireEmailVerification=false] - Optional: Email the user a one-time code and ask for it
+ *   before listing their past conversations. Verified emails are remembered on the device. Not needed with
+ *   `userHash` or `identityToken`.
+ * @param {object} [props.customAttributes] - Optional: Key/value pairs shown to agents with the user's conversations,
+ *   e.g. `{ userId: 'u_123', plan: 'pro' }`. Keys are letters, digits and underscores; values are strings, numbers,
+ *   booleans or null. Changes are sent to the live conversation.
+ * @param {boolean|object} [props.deviceContext] - Optional: Send the platform, OS version, device model, app version and
+ *   build, locale, timezone and screen size when a conversation starts. Pass `true`, or `{ fields, modules }` to send only
+ *   the allowlisted `fields` and read details from `expo-device`, `expo-application` and `expo-localization`.
+ * @param {object} [props.storage] - Optional: Where sessions, cached transcripts and unsent messages are stored. Defaults to
+ *   AsyncStorage; pass `createSecureStoreAdapter(SecureStore)`, `createMMKVAdapter(mmkv)`, `createMemoryAdapter()` or
+ *   your own `{ getItem, setItem, removeItem }`. Read once on mount.
+ * @param {Function} [props.onOpen] - Optional: Called when the chat opens.
+ * @param {Function} [props.onClose] - Optional: Called when the chat closes.
+ * @param {Function} [props.onSessionStarted] - Optional: Called with `{ sessionId }` when a new session is created.
+ * @param {Function} [props.onSessionClosed] - Optional: Called with `{ sessionId, reason }` when a session is closed or reset.
+ * @param {Function} [props.onMessageSent] - Optional: Called with `{ sessionId, message }` once the server confirms a message.
+ * @param {Function} [props.onMessageReceived] - Optional: Called with `{ sessionId, message }` when a reply arrives.
+ * @param {Function} [props.onEscalated] - Optional: Called with `{ sessionId }` when the user asks for an agent.
+ * @param {Function} [props.onError] - Optional: Called with `{ error }` when an SDK operation fails.
+ * @param {Function} [props.onScreenChange] - Optional: Called with `{ screen, previousScreen }` on navigation.
+ * @param {boolean} [props.keepAlive=false] - Optional: Keep the session and socket alive for the app's lifetime instead of
+ *   only while the chat is open. Replies arriving while the chat is closed then update the badge and trigger notifications right away.
  */
-const CuoralLauncher = ({
-  publicKey,
-  email,
-  firstName,
-  lastName,
-  backgroundColor = '#2196F3', // Default to Material blueAccent
-  icon = <Text style={{ color: 'white', fontSize: 24 }}>hh</Text>, // Default chat emoji icon
-  isVisible = true,
-  position = 'bottomRight',
-}) => {
+const CuoralLauncher = (
+  {
+    publicKey,
+    email,
+    firstName,
+    lastName,
+    backgroundColor = '#2196F3', // Default to Material blueAccent
+    icon = <Text style={{ color: 'white', fontSize: 24 }}>hh</Text>, // Default chat emoji icon
+    isVisible = true,
+    position = 'bottomRight',
+    apiBaseUrl,
+    socketUrl,
+    endpoints,
+    showUnreadBadge = true,
+    badgeColor = '#E53935',
+    badgeTextColor = 'white',
+    onUnreadCountChange,
+    keepAlive = false,
+    enablePushNotifications = false,
+    onPushPermissionResult,
+    handleNotificationResponses = true,
+    notifications,
+    soundSource,
+    userHash,
+    identityToken,
+    requireIdentityVerification = false,
+    requireEmailVerification = false,
+    customAttributes,
+    deviceContext,
+    storage: storageAdapter,
+    ...eventCallbacks
+  },
+  ref
+) => {
   const [modalVisible, setModalVisible] = useState(false);
   const [isFabLoading, setIsFabLoading] = useState(false); // New state for FAB loader
+  const [launchIntent, setLaunchIntent] = useState(null); // Screen to open on, set by the imperative API
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [identifiedUser, setIdentifiedUser] = useState(null); // Set by identify() and logout(), replacing the email and name props
+  const [userCommand, setUserCommand] = useState(null); // identify() or logout() for the mounted provider to run
+  const currentUser = identifiedUser || { email, firstName, lastName };
+  const [attributeUpdates, setAttributeUpdates] = useState({}); // From updateAttributes(), layered over the prop
+  // Current right away, so back-to-back updateAttributes() calls are validated together
+  const attributeUpdatesRef = useRef(attributeUpdates);
+  const customAttributesRef = useRef(customAttributes);
+  customAttributesRef.current = customAttributes;
+  // Set by logout() without keepAlive: the provider unmounts right away, disconnecting the logged-out user's
+  // socket, instead of lingering while the modal animates closed
+  const [isLoggingOut, setIsLoggingOut] = useState(false);
+  const isProviderMountedRef = useRef(false);
+  isProviderMountedRef.current = keepAlive || modalVisible;
+  const onUnreadCountChangeRef = useRef(onUnreadCountChange);
+  onUnreadCountChangeRef.current = onUnreadCountChange;
+  const reportedUnreadCountRef = useRef(0);
+
+  useEffect(() => {
+    if (reportedUnreadCountRef.current !== unreadCount) {
+      reportedUnreadCountRef.current = unreadCount;
+      onUnreadCountChangeRef.current?.(unreadCount);
+    }
+  }, [unreadCount]);
+
+  // Used to check for unread replies while the chat, and with it the socket, is closed
+  const endpointsKey = JSON.stringify(endpoints || {});
+  const apiClient = useMemo(
+    () =>
+      createCuoralApiClient({
+        publicKey,
+        endpoints: resolveEndpoints({
+          apiBaseUrl,
+          socketUrl,
+          endpoints: JSON.parse(endpointsKey),
+        }),
+      }),
+    [publicKey, apiBaseUrl, socketUrl, endpointsKey]
+  );
+
+  const storageUserId = getStorageUserId(currentUser.email);
+  const storageAdapterRef = useRef(storageAdapter); // Read once, like the provider does
+  const storage = useMemo(
+    () =>
+      createCuoralStorage({
+        adapter: storageAdapterRef.current,
+        publicKey,
+        userId: storageUserId,
+      }),
+    [publicKey, storageUserId]
+  );
+  const storageRef = useRef(storage);
+  storageRef.current = storage;
+
+  // While the chat is closed, check for new replies on launch and whenever the app returns to the foreground.
+  // With keepAlive the provider stays connected and reports them itself.
+  useEffect(() => {
+    if (modalVisible || keepAlive) {
+      return undefined;
+    }
+
+    let isActive = true;
+    const checkUnread = async () => {
+      try {
+        await migrateLegacyStorage(storage);
+        const sessionId = await storage.getItem(SESSION_STORAGE_KEY);
+        const count = sessionId
+          ? await fetchUnreadCount(apiClient, storage, sessionId)
+          : 0;
+        if (isActive) {
+          setUnreadCount(count);
+        }
+      } catch {
+        // Keep the last known count; the next check tries again
+      }
+    };
+
+    checkUnread();
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'active') {
+        checkUnread();
+      }
+    });
+    return () => {
+      isActive = false;
+      subscription.remove();
+      apiClient.cancelAll();
+    };
+  }, [modalVisible, keepAlive, apiClient, storage]);
+
+  // identify() and logout() go to the provider while it's mounted; otherwise only the stored data needs updating
+  const handleUserCommand = useCallback(
+    async (command) => {
+      const nextUser =
+        command.type === 'identify'
+          ? { ...ANONYMOUS_USER, ...command.user }
+          : ANONYMOUS_USER;
+      const previousStorage = storageRef.current;
+      setIdentifiedUser(nextUser);
+      if (command.type === 'logout') {
+        setModalVisible(false);
+        attributeUpdatesRef.current = {};
+        setAttributeUpdates({});
+        setIsLoggingOut(!keepAlive);
+      }
+
+      // Without keepAlive, logging out closes the chat and unmounts the provider
+      if (
+        keepAlive ||
+        (command.type === 'identify' && isProviderMountedRef.current)
+      ) {
+        setUserCommand(command);
+        return;
+      }
+      if (command.type === 'logout') {
+        await clearStoredUserData(apiClient, previousStorage);
+        setUnreadCount(0);
+      } else if (previousStorage.userId === ANONYMOUS_USER_ID) {
+        // An anonymous conversation becomes the user's, unless they already have one
+        await moveStoredSession(
+          previousStorage,
+          createCuoralStorage({
+            adapter: storageAdapterRef.current,
+            publicKey,
+            userId: getStorageUserId(nextUser.email),
+          }),
+          { replace: false }
+        );
+      }
+    },
+    [keepAlive, apiClient, publicKey]
+  );
+
+  // Executes a command from the ref or the Cuoral singleton
+  const handleCommand = useCallback(
+    (command) => {
+      if (command.type === 'identify' || command.type === 'logout') {
+        // The caller has already returned, so storage failures are reported like replayed commands
+        handleUserCommand(command).catch((error) => {
+          emitCuoralEvent('error', { error });
+        });
+        return;
+      }
+      if (command.type === 'close') {
+        setModalVisible(false);
+        return;
+      }
+      if (command.type === 'updateAttributes') {
+        const nextUpdates = {
+          ...attributeUpdatesRef.current,
+          ...command.attributes,
+        };
+        // Throws, keeping the current attributes, if the result is invalid as a whole, e.g. too many attributes
+        validateCustomAttributes({
+          ...customAttributesRef.current,
+          ...nextUpdates,
+        });
+        // Sent by the provider whenever it's mounted with a session
+        attributeUpdatesRef.current = nextUpdates;
+        setAttributeUpdates(nextUpdates);
+        return;
+      }
+      setLaunchIntent(command.type === 'open' ? null : command);
+      setModalVisible(true);
+    },
+    [handleUserCommand]
+  );
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      open: () => handleCommand({ type: 'open' }),
+      close: () => handleCommand({ type: 'close' }),
+      openConversation: (sessionId) =>
+        handleCommand({ type: 'openConversation', sessionId }),
+      startNewConversation: ({ prefillMessage } = {}) =>
+        handleCommand({ type: 'startNewConversation', prefillMessage }),
+      identify: (user) => handleCommand(createIdentifyCommand(user)),
+      logout: () => handleCommand({ type: 'logout' }),
+      updateAttributes: (attributes) =>
+        handleCommand(createUpdateAttributesCommand(attributes)),
+    }),
+    [handleCommand]
+  );
+
+  useEffect(() => registerLauncher(handleCommand), [handleCommand]);
+
+  // Forward SDK events to the callback props, always calling the latest ones
+  const eventCallbacksRef = useRef(eventCallbacks);
+  eventCallbacksRef.current = eventCallbacks;
+  useEffect(() => {
+    const unsubscribers = Object.keys(EVENT_CALLBACK_PROPS).map((prop) =>
+      cuoralEvents.on(EVENT_CALLBACK_PROPS[prop], (payload) =>
+        eventCallbacksRef.current[prop]?.(payload)
+      )
+    );
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, []);
+
+  const wasModalVisibleRef = useRef(false);
+  useEffect(() => {
+    if (wasModalVisibleRef.current !== modalVisible) {
+      wasModalVisibleRef.current = modalVisible;
+      emitCuoralEvent(modalVisible ? 'open' : 'close');
+    }
+    if (modalVisible) {
+      setIsLoggingOut(false);
+    }
+  }, [modalVisible]);
 
-  // If the launcher is not visible, render nothing
-  if (!isVisible) {
-    return null;
-  }
+  // Open the right conversation when a Cuoral notification is tapped, including the tap that cold-started the app
+  useEffect(() => {
+    if (!handleNotificationResponses) {
+      return undefined;
+    }
+
+    let isActive = true;
+    Notifications.getLastNotificationResponseAsync()
+      .then((response) => {
+        if (isActive && response) {
+          handleCuoralNotificationResponse(response);
+        }
+      })
+      .catch(() => {});
+
+    const subscription = Notifications.addNotificationResponseReceivedListener(
+      handleCuoralNotificationResponse
+    );
+    return () => {
+      isActive = false;
+      subscription.remove();
+    };
+  }, [handleNotificationResponses]);
 
   // Determine the FAB position based on the 'position' prop
   const getFABPositionStyle = () => {
@@ -63,6 +413,7 @@ const CuoralLauncher = ({
 
   const handleFabPress = async () => {
     setIsFabLoading(true); // Show loader immediately when FAB is pressed
+    setLaunchIntent(null);
     setModalVisible(true); // Open the modal. Session check/initiation happens inside CuoralProvider
 
     // The actual session loading is now handled inside CuoralProvider's useEffect,
@@ -73,24 +424,71 @@ const CuoralLauncher = ({
     setTimeout(() => {
       setIsFabLoading(false);
     }, 1000); // Give enough time for modal to appear and internal loading to start
-    
   };
 
-  return (
+  const renderProvider = (children) => (
+    <CuoralProvider
+      publicKey={publicKey}
+      initialEmail={currentUser.email}
+      initialFirstName={currentUser.firstName}
+      initialLastName={currentUser.lastName}
+      apiBaseUrl={apiBaseUrl}
+      socketUrl={socketUrl}
+      endpoints={endpoints}
+      closeModal={() => setModalVisible(false)} // Pass close modal function to context
+      onUnreadCountChange={setUnreadCount}
+      enablePushNotifications={enablePushNotifications}
+      onPushPermissionResult={onPushPermissionResult}
+      notifications={notifications}
+      isChatVisible={modalVisible}
+      soundSource={soundSource}
+      userHash={userHash}
+      identityToken={identityToken}
+      requireIdentityVerification={requireIdentityVerification}
+      requireEmailVerification={requireEmailVerification}
+      userCommand={userCommand}
+      customAttributes={{ ...customAttributes, ...attributeUpdates }}
+      deviceContext={deviceContext}
+      storage={storageAdapterRef.current}
+    >
+      {children}
+    </CuoralProvider>
+  );
+
+  const chatContent = (
+    <SafeAreaView style={styles.modalOverlay}>
+      <View style={styles.modalContent}>
+        <CuoralModal launchIntent={launchIntent} />
+      </View>
+    </SafeAreaView>
+  );
+
+  const launcher = (
     <>
-      {/* Floating Action Button */}
-      <TouchableOpacity
-        style={[styles.fab, { backgroundColor }, getFABPositionStyle()]}
-        onPress={handleFabPress}
-        activeOpacity={0.7} // Reduce opacity slightly on press
-        disabled={isFabLoading} // Disable FAB while loading
-      >
-        {isFabLoading ? (
-          <ActivityIndicator size="small" color="white" />
-        ) : (
-          icon
-        )}
-      </TouchableOpacity>
+      {/* Floating Action Button, hidden when isVisible is false */}
+      {isVisible && (
+        <TouchableOpacity
+          style={[styles.fab, { backgroundColor }, getFABPositionStyle()]}
+          onPress={handleFabPress}
+          activeOpacity={0.7} // Reduce opacity slightly on press
+          disabled={isFabLoading} // Disable FAB while loading
+        >
+          {isFabLoading ? (
+            <ActivityIndicator size="small" color="white" />
+          ) : (
+            icon
+          )}
+          {showUnreadBadge && unreadCount > 0 && (
+            <View style={[styles.badge, { backgroundColor: badgeColor }]}>
+              <Text style={[styles.badgeText, { color: badgeTextColor }]}>
+                {unreadCount > MAX_BADGE_COUNT
+                  ? `${MAX_BADGE_COUNT}+`
+                  : unreadCount}
+              </Text>
+            </View>
+          )}
+        </TouchableOpacity>
+      )}
 
       {/* Cuoral Chat Modal */}
       <Modal
@@ -104,24 +502,17 @@ const CuoralLauncher = ({
       >
         {/*
           CuoralProvider wraps the modal content to provide chat state
-          (public key, user info, etc.) to all nested screens.
+          (public key, user info, etc.) to all nested screens. With keepAlive
+          it wraps the whole launcher instead, so it outlives the modal.
         */}
-        <CuoralProvider
-          publicKey={publicKey}
-          initialEmail={email}
-          initialFirstName={firstName}
-          initialLastName={lastName}
-          closeModal={() => setModalVisible(false)} // Pass close modal function to context
-        >
-          <SafeAreaView style={styles.modalOverlay}>
-            <View style={styles.modalContent}>
-              <CuoralModal />
-            </View>
-          </SafeAreaView>
-        </CuoralProvider>
+        {keepAlive
+          ? chatContent
+          : (modalVisible || !isLoggingOut) && renderProvider(chatContent)}
       </Modal>
     </>
   );
+
+  return keepAlive ? renderProvider(launcher) : launcher;
 };
 
 const styles = StyleSheet.create({
@@ -138,6 +529,23 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.3,
     shadowRadius: 5,
   },
+  badge: {
+    position: 'absolute',
+    top: -2,
+    right: -2,
+    minWidth: 22,
+    height: 22,
+    borderRadius: 11,
+    paddingHorizontal: 5,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: 'white',
+  },
+  badgeText: {
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
   modalOverlay: {
     flex: 1,
     backgroundColor: 'rgba(0, 0, 0, 0.4)', // Semi-transparent black background
@@ -159,4 +567,4 @@ const styles = StyleSheet.create({
   },
 });
 
-export default CuoralLauncher;
+export default forwardRef(CuoralLauncher);
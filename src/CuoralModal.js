@@ -1,23 +1,33 @@
 // src/CuoralModal.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
 import HomeScreen from './screens/HomeScreen';
 import ConversationsScreen from './screens/ConversationsScreen';
 import ChatDetailsScreen from './screens/ChatDetailsScreen';
 import ChatScreen from './screens/ChatScreen';
+import VerifyEmailScreen from './screens/VerifyEmailScreen';
 import { useCuoral } from './context/CuoralContext'; // Use the context
+import { CuoralAuthError, CuoralNetworkError } from './api/errors';
+import ConnectionBanner from './components/ConnectionBanner';
+import { emitCuoralEvent } from './events';
 
 
 /**
  * CuoralModal component manages the navigation between different chat screens
  * within the modal launched by CuoralLauncher. It includes the header and
  * bottom navigation bar. It also manages the initial session loading.
+ *
+ * @param {object} props - The component props.
+ * @param {object} [props.launchIntent] - Optional: Command from the imperative API
+ *   (`openConversation` or `startNewConversation`) deciding which screen to open on.
  */
-const CuoralModal = () => {
-    const { closeModal, sessionId, isLoadingSession, sessionError, sessionProfileExists, initiateSession, email, firstName, lastName, chatThemeColor, resetTempUserData, chatAgentName } = useCuoral();
+const CuoralModal = ({ launchIntent }) => {
+    const { closeModal, sessionId, isLoadingSession, isInitialized, sessionError, lastError, sessionProfileExists, initiateSession, email, firstName, lastName, chatThemeColor, resetTempUserData, chatAgentName, openSession, clearSessionAndInitiateNew, setDraftMessage, sessionStatus, connectionState, isSoundMuted, setSoundMuted, needsEmailVerification } = useCuoral();
     const [currentScreen, setCurrentScreen] = useState('Home'); // Default screen if no session/profile
     const [headerTitle, setHeaderTitle] = useState(''); // Default header title
     const [showBackButton, setShowBackButton] = useState(false); // Controls back button visibility
+    const handledIntentRef = useRef(null); // Launch intent that has already been acted on
+    const previousScreenRef = useRef(null);
 
 
     useEffect(() => {
@@ -25,7 +35,7 @@ const CuoralModal = () => {
         if (!isLoadingSession && !sessionError) {
             if (sessionId) {
                 if (sessionProfileExists) {
-                    setCurrentScreen('Conversations'); // Go directly to chat if session and profile exist
+                    navigateToRef.current('Conversations'); // Go directly to chat if session and profile exist; navigateTo asks for email verification if needed
                 } else {
                     setCurrentScreen('ChatDetails'); // Go to details if session exists but profile is missing
                 }
@@ -36,6 +46,39 @@ const CuoralModal = () => {
     },[setCurrentScreen]);
 
 
+    // Effect to act on a launch intent once the initial session setup has finished
+    useEffect(() => {
+        if (!launchIntent || !isInitialized || handledIntentRef.current === launchIntent) {
+            return;
+        }
+        handledIntentRef.current = launchIntent;
+
+        const handleLaunchIntent = async () => {
+            switch (launchIntent.type) {
+                case 'openConversation':
+                    await openSession(launchIntent.sessionId);
+                    setCurrentScreen('Chat');
+                    break;
+                case 'startNewConversation':
+                    await clearSessionAndInitiateNew();
+                    setDraftMessage(launchIntent.prefillMessage || '');
+                    setCurrentScreen('ChatDetails'); // Forwards to Chat if the profile is already set
+                    break;
+                default:
+                    break;
+            }
+        };
+        handleLaunchIntent();
+    }, [launchIntent, isInitialized, openSession, clearSessionAndInitiateNew, setDraftMessage]);
+
+
+    // Report every screen change, whether from navigateTo or a launch intent
+    useEffect(() => {
+        emitCuoralEvent('screenChange', { screen: currentScreen, previousScreen: previousScreenRef.current });
+        previousScreenRef.current = currentScreen;
+    }, [currentScreen]);
+
+
     // Effect to update header title and back button visibility based on currentScreen
     useEffect(() => {
         switch (currentScreen) {
@@ -53,6 +96,10 @@ const CuoralModal = () => {
                 setHeaderTitle('Enter Your Details');
                 setShowBackButton(true);
                 break;
+            case 'VerifyEmail':
+                setHeaderTitle('Verify Your Email');
+                setShowBackButton(true);
+                break;
             case 'Chat':
                 // Display user's name if available, otherwise a generic title
                 const userName = `${firstName || ''} ${lastName || ''}`.trim();
@@ -67,14 +114,23 @@ const CuoralModal = () => {
 
     // Function to navigate to a different screen
     const navigateTo = (screenName, params = {}) => {
+        // Past conversations stay hidden until the user confirms their email, when required
+        if (screenName === 'Conversations' && needsEmailVerification(email)) {
+            setCurrentScreen('VerifyEmail');
+            return;
+        }
         setCurrentScreen(screenName);
     };
+    // Read by the initial-screen effect, which only runs when the modal opens
+    const navigateToRef = useRef(navigateTo);
+    navigateToRef.current = navigateTo;
 
     // Function to handle back navigation
     const goBack = () => {
         switch (currentScreen) {
             case 'Conversations':
             case 'ChatDetails':
+            case 'VerifyEmail':
                 navigateTo('Home');
                 break;
             case 'Chat':
@@ -99,12 +155,19 @@ const CuoralModal = () => {
         }
 
         if (sessionError) {
+            // Retrying can't fix rejected credentials, so only offer it for other failures
+            const canRetry = !(lastError instanceof CuoralAuthError);
+            const errorMessage = lastError instanceof CuoralNetworkError
+                ? 'Unable to reach Cuoral. Please check your connection and try again.'
+                : `Error: ${sessionError}`;
             return (
                 <View style={styles.errorContainer}>
-                    <Text style={styles.errorText}>Error: {sessionError}</Text>
-                    <TouchableOpacity style={styles.retryButton} onPress={() => initiateSession(email, firstName, lastName)}>
-                        <Text style={styles.retryButtonText}>Retry</Text>
-                    </TouchableOpacity>
+                    <Text style={styles.errorText}>{errorMessage}</Text>
+                    {canRetry && (
+                        <TouchableOpacity style={styles.retryButton} onPress={() => initiateSession(email, firstName, lastName)}>
+                            <Text style={styles.retryButtonText}>Retry</Text>
+                        </TouchableOpacity>
+                    )}
                 </View>
             );
         }
@@ -118,6 +181,8 @@ const CuoralModal = () => {
                 return <ChatDetailsScreen navigateTo={navigateTo} />;
             case 'Chat':
                 return <ChatScreen navigateTo={navigateTo} />;
+            case 'VerifyEmail':
+                return <VerifyEmailScreen navigateTo={navigateTo} />;
             default:
                 return <HomeScreen navigateTo={navigateTo} />;
         }
@@ -132,7 +197,19 @@ const CuoralModal = () => {
                         <Text style={styles.headerIcon}>&#x2329;</Text>
                     </TouchableOpacity>
                 )}
-                <Text style={styles.headerTitle}>{headerTitle}</Text>
+                <View style={styles.headerTitleContainer}>
+                    <Text style={styles.headerTitle}>{headerTitle}</Text>
+                    {/* Only active sessions hold a socket connection */}
+                    {sessionStatus === 'active' && <ConnectionBanner connectionState={connectionState} compact />}
+                </View>
+                <TouchableOpacity
+                    style={styles.muteButton}
+                    onPress={() => setSoundMuted(!isSoundMuted)}
+                    accessibilityRole="button"
+                    accessibilityLabel={isSoundMuted ? 'Unmute chat sounds' : 'Mute chat sounds'}
+                >
+                    <Text style={styles.muteIcon}>{isSoundMuted ? '🔕' : '🔔'}</Text>
+                </TouchableOpacity>
                 <TouchableOpacity style={styles.closeButton} onPress={closeModal}>
                     <Text style={styles.headerIcon}>&#x2715;</Text>
                 </TouchableOpacity>
@@ -191,11 +268,13 @@ const styles = StyleSheet.create({
         shadowRadius: 3,
         elevation: 4,
     },
+    headerTitleContainer: {
+        flex: 1, // Allow title to take available space
+    },
     headerTitle: {
         fontSize: 20, // Slightly larger font
         fontWeight: 'bold',
         color: '#fff', // Text color will be white on colored header
-        flex: 1, // Allow title to take available space
         textAlign: 'center', // Center the title
         letterSpacing: 0.5, // Added letter spacing
 
@@ -213,6 +292,13 @@ const styles = StyleSheet.create({
         padding: 8, // Increased touch target
         marginLeft: 10,
     },
+    muteButton: {
+        padding: 8,
+        marginLeft: 10,
+    },
+    muteIcon: {
+        fontSize: 20,
+    },
     content: {
         flex: 1, // Takes up all available space between header and footer
     },
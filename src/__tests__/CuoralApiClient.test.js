@@ -0,0 +1,188 @@
+import { createCuoralApiClient } from '../api/CuoralApiClient';
+import { resolveEndpoints } from '../api/endpoints';
+import {
+  CuoralAuthError,
+  CuoralCancelledError,
+  CuoralNetworkError,
+  CuoralServerError,
+  CuoralValidationError,
+} from '../api/errors';
+
+const createResponse = (status, body = '', statusText = '') => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText,
+  text: async () => body,
+});
+
+// Never settles on its own; rejects like fetch once the request is aborted
+const hangingFetch = (url, { signal }) =>
+  new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('Aborted')));
+  });
+
+const createClient = (fetchImpl, options) =>
+  createCuoralApiClient({
+    publicKey: 'pk_test',
+    endpoints: resolveEndpoints(),
+    fetchImpl,
+    ...options,
+  });
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('createCuoralApiClient', () => {
+  it('resolves with the parsed JSON body', async () => {
+    const fetchImpl = jest.fn(async () =>
+      createResponse(200, JSON.stringify({ status: true, session_id: 's1' }))
+    );
+
+    await expect(createClient(fetchImpl).initiateSession({})).resolves.toEqual({
+      status: true,
+      session_id: 's1',
+    });
+    expect(fetchImpl).toHaveBeenCalledWith(
+      'https://api.cuoral.com/conversation/initiate-session',
+      expect.objectContaining({
+        method: 'POST',
+        headers: expect.objectContaining({ 'x-org-id': 'pk_test' }),
+      })
+    );
+  });
+
+  it('keeps a non-JSON error body as text', async () => {
+    const fetchImpl = jest.fn(async () =>
+      createResponse(502, '<html>Bad Gateway</html>', 'Bad Gateway')
+    );
+
+    const error = await createClient(fetchImpl)
+      .initiateSession({})
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(CuoralServerError);
+    expect(error.status).toBe(502);
+    expect(error.data).toBe('<html>Bad Gateway</html>');
+    expect(error.message).toContain('<html>Bad Gateway</html>');
+  });
+
+  it('maps HTTP statuses to error classes', async () => {
+    const client = createClient(
+      jest
+        .fn()
+        .mockResolvedValueOnce(createResponse(401))
+        .mockResolvedValueOnce(
+          createResponse(422, JSON.stringify({ message: 'Invalid email' }))
+        )
+    );
+
+    await expect(client.initiateSession({})).rejects.toBeInstanceOf(
+      CuoralAuthError
+    );
+    const error = await client.initiateSession({}).catch((e) => e);
+    expect(error).toBeInstanceOf(CuoralValidationError);
+    expect(error.message).toContain('Invalid email');
+  });
+
+  it('reports a timeout as a CuoralNetworkError with isTimeout', async () => {
+    const client = createClient(jest.fn(hangingFetch), { timeout: 100 });
+
+    const result = client.initiateSession({}).catch((e) => e);
+    await jest.advanceTimersByTimeAsync(100);
+    const error = await result;
+
+    expect(error).toBeInstanceOf(CuoralNetworkError);
+    expect(error.isTimeout).toBe(true);
+  });
+
+  it('reports a failed fetch as a CuoralNetworkError without isTimeout', async () => {
+    const fetchImpl = jest.fn(async () => {
+      throw new TypeError('Network request failed');
+    });
+
+    const error = await createClient(fetchImpl)
+      .initiateSession({})
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(CuoralNetworkError);
+    expect(error.isTimeout).toBe(false);
+  });
+
+  it('retries idempotent requests on server errors', async () => {
+    const fetchImpl = jest.fn(async () => createResponse(503));
+    const client = createClient(fetchImpl, { maxRetries: 2 });
+
+    const result = client.getUserSessions({}).catch((e) => e);
+    await jest.runAllTimersAsync();
+
+    expect(await result).toBeInstanceOf(CuoralServerError);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+
+  it('succeeds when a retry does', async () => {
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValueOnce(createResponse(503))
+      .mockResolvedValueOnce(createResponse(200, '[]'));
+    const client = createClient(fetchImpl);
+
+    const result = client.getUserSessions({});
+    await jest.runAllTimersAsync();
+
+    await expect(result).resolves.toEqual([]);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry requests that are not idempotent', async () => {
+    const fetchImpl = jest.fn(async () => createResponse(503));
+    const client = createClient(fetchImpl, { maxRetries: 2 });
+
+    const result = client.initiateSession({}).catch((e) => e);
+    await jest.runAllTimersAsync();
+
+    expect(await result).toBeInstanceOf(CuoralServerError);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry validation errors', async () => {
+    const fetchImpl = jest.fn(async () => createResponse(400));
+    const client = createClient(fetchImpl);
+
+    const result = client.getUserSessions({}).catch((e) => e);
+    await jest.runAllTimersAsync();
+
+    expect(await result).toBeInstanceOf(CuoralValidationError);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops with a CuoralCancelledError when cancelAll() is called during backoff', async () => {
+    const fetchImpl = jest.fn(async () => createResponse(503));
+    const client = createClient(fetchImpl);
+
+    const result = client.getUserSessions({}).catch((e) => e);
+    await jest.advanceTimersByTimeAsync(1); // First attempt fails; now waiting to retry
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+    client.cancelAll();
+    await jest.runAllTimersAsync();
+
+    expect(await result).toBeInstanceOf(CuoralCancelledError);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects in-flight requests with a CuoralCancelledError on cancelAll()', async () => {
+    const client = createClient(jest.fn(hangingFetch));
+
+    const result = client.getUserSessions({}).catch((e) => e);
+    client.cancelAll();
+
+    expect(await result).toBeInstanceOf(CuoralCancelledError);
+  });
+});
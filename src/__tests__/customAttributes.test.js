@@ -0,0 +1,81 @@
+import { CuoralValidationError } from '../api/errors';
+import {
+  MAX_ATTRIBUTE_VALUE_LENGTH,
+  MAX_CUSTOM_ATTRIBUTES,
+  validateCustomAttributes,
+} from '../identity/customAttributes';
+
+describe('validateCustomAttributes', () => {
+  it('accepts strings, finite numbers, booleans and null', () => {
+    const attributes = {
+      userId: 'u_123',
+      seats: 5,
+      mrr: 49.5,
+      trial: false,
+      coupon: null,
+    };
+
+    expect(validateCustomAttributes(attributes)).toBe(attributes);
+  });
+
+  it('accepts an empty object', () => {
+    expect(validateCustomAttributes({})).toEqual({});
+  });
+
+  it.each([null, undefined, 'plan=pro', 42, ['plan']])(
+    'rejects %p instead of an object',
+    (attributes) => {
+      expect(() => validateCustomAttributes(attributes)).toThrow(
+        CuoralValidationError
+      );
+    }
+  );
+
+  it.each(['', '1st', '_private', 'plan-name', 'plan name', 'a'.repeat(51)])(
+    'rejects the key %p',
+    (key) => {
+      expect(() => validateCustomAttributes({ [key]: 'x' })).toThrow(
+        `Invalid custom attribute key "${key}"`
+      );
+    }
+  );
+
+  it('accepts keys of up to 50 characters', () => {
+    expect(() =>
+      validateCustomAttributes({ ['a'.repeat(50)]: 'x', plan_2: 'x' })
+    ).not.toThrow();
+  });
+
+  it.each([
+    ['an object', { tier: 'pro' }],
+    ['an array', ['pro']],
+    ['undefined', undefined],
+    ['NaN', NaN],
+    ['Infinity', Infinity],
+    ['a function', () => 'pro'],
+    ['a long string', 'x'.repeat(MAX_ATTRIBUTE_VALUE_LENGTH + 1)],
+  ])('rejects %s as a value', (_, value) => {
+    expect(() => validateCustomAttributes({ plan: value })).toThrow(
+      'Invalid value for custom attribute "plan"'
+    );
+  });
+
+  it('accepts strings up to the maximum length', () => {
+    expect(() =>
+      validateCustomAttributes({ note: 'x'.repeat(MAX_ATTRIBUTE_VALUE_LENGTH) })
+    ).not.toThrow();
+  });
+
+  it('limits the number of attributes', () => {
+    const attributes = {};
+    for (let i = 0; i < MAX_CUSTOM_ATTRIBUTES; i++) {
+      attributes[`key${i}`] = i;
+    }
+    expect(() => validateCustomAttributes(attributes)).not.toThrow();
+
+    attributes.oneMore = true;
+    expect(() => validateCustomAttributes(attributes)).toThrow(
+      CuoralValidationError
+    );
+  });
+});
@@ -0,0 +1,200 @@
+import {
+  dedupeMessages,
+  mergeMessages,
+  normalizeServerMessage,
+} from '../messaging/messages';
+
+const at = (seconds) => new Date(Date.UTC(2025, 0, 1, 12, 0, seconds));
+
+const serverMessage = (overrides) => ({
+  message_type: 'REPLY',
+  author_type: 'BOT',
+  message: 'Hello',
+  time_created: at(0).toISOString(),
+  ...overrides,
+});
+
+describe('normalizeServerMessage', () => {
+  it('uses the server id, then time_created, as the message id', () => {
+    expect(normalizeServerMessage(serverMessage({ id: 42 })).id).toBe(42);
+    expect(normalizeServerMessage(serverMessage({ _id: 'abc' })).id).toBe(
+      'abc'
+    );
+    expect(normalizeServerMessage(serverMessage({})).id).toBe(
+      at(0).toISOString()
+    );
+  });
+
+  it('keeps the echoed client_message_id for correlation', () => {
+    const msg = normalizeServerMessage(
+      serverMessage({
+        id: 7,
+        message_type: 'QUERY',
+        client_message_id: 'temp_msg_1',
+      })
+    );
+
+    expect(msg.clientId).toBe('temp_msg_1');
+    expect(msg.sender).toBe('user');
+  });
+
+  it('tells agents from bots', () => {
+    expect(
+      normalizeServerMessage(serverMessage({ author_type: 'HUMAN' })).sender
+    ).toBe('admin');
+    expect(normalizeServerMessage(serverMessage({})).sender).toBe('bot');
+  });
+});
+
+describe('dedupeMessages', () => {
+  it('keeps the first message for each id', () => {
+    const first = { id: 1, text: 'first', timestamp: at(1) };
+    const duplicate = { id: 1, text: 'again', timestamp: at(2) };
+    const other = { id: 2, text: 'other', timestamp: at(3) };
+
+    expect(dedupeMessages([first, other, duplicate])).toEqual([first, other]);
+  });
+
+  it('treats a client id and a server id as the same message', () => {
+    const local = {
+      id: 'server_1',
+      clientId: 'temp_1',
+      sender: 'user',
+      timestamp: at(1),
+    };
+    const fetched = {
+      id: 'temp_1',
+      clientId: null,
+      sender: 'user',
+      timestamp: at(1),
+    };
+
+    expect(dedupeMessages([local, fetched])).toEqual([local]);
+  });
+});
+
+describe('mergeMessages', () => {
+  it('skips duplicates that arrive out of order and keeps the result sorted', () => {
+    const existing = [
+      { id: 1, text: 'one', sender: 'bot', timestamp: at(1) },
+      { id: 3, text: 'three', sender: 'bot', timestamp: at(3) },
+    ];
+    const incoming = [
+      { id: 3, text: 'three', sender: 'bot', timestamp: at(3) },
+      { id: 2, text: 'two', sender: 'bot', timestamp: at(2) },
+      { id: 1, text: 'one', sender: 'bot', timestamp: at(1) },
+    ];
+
+    expect(mergeMessages(existing, incoming).map((msg) => msg.id)).toEqual([
+      1, 2, 3,
+    ]);
+  });
+
+  it('returns the existing transcript when nothing is new', () => {
+    const existing = [{ id: 1, text: 'one', sender: 'bot', timestamp: at(1) }];
+
+    expect(mergeMessages(existing, [{ ...existing[0] }])).toBe(existing);
+  });
+
+  it('keeps a bot repeating the same text', () => {
+    const existing = [
+      { id: 1, text: 'Anything else?', sender: 'bot', timestamp: at(1) },
+    ];
+    const incoming = [
+      { id: 2, text: 'Anything else?', sender: 'bot', timestamp: at(5) },
+      { id: 3, text: 'Anything else?', sender: 'bot', timestamp: at(9) },
+    ];
+
+    expect(mergeMessages(existing, incoming).map((msg) => msg.id)).toEqual([
+      1, 2, 3,
+    ]);
+  });
+
+  it('matches each local user message to one fetched copy', () => {
+    const existing = [
+      {
+        id: 'temp_1',
+        clientId: 'temp_1',
+        text: 'hi',
+        sender: 'user',
+        status: 'sent',
+        timestamp: at(1),
+      },
+      {
+        id: 'temp_2',
+        clientId: 'temp_2',
+        text: 'hi',
+        sender: 'user',
+        status: 'sent',
+        timestamp: at(2),
+      },
+    ];
+    // A server that doesn't echo client ids: three copies of the same text
+    const incoming = [1, 2, 3].map((second) => ({
+      id: `server_${second}`,
+      clientId: null,
+      text: 'hi',
+      sender: 'user',
+      timestamp: at(second),
+    }));
+
+    const merged = mergeMessages(existing, incoming);
+
+    expect(merged.map((msg) => msg.id)).toEqual([
+      'temp_1',
+      'temp_2',
+      'server_3',
+    ]);
+  });
+
+  it('matches by echoed client id rather than content', () => {
+    const existing = [
+      {
+        id: 'temp_1',
+        clientId: 'temp_1',
+        text: 'hi',
+        sender: 'user',
+        status: 'sent',
+        timestamp: at(1),
+      },
+    ];
+    const incoming = [
+      {
+        id: 'server_1',
+        clientId: 'temp_1',
+        text: 'hi',
+        sender: 'user',
+        timestamp: at(1),
+      },
+      {
+        id: 'server_2',
+        clientId: 'temp_other_device',
+        text: 'hi',
+        sender: 'user',
+        timestamp: at(2),
+      },
+    ];
+
+    expect(mergeMessages(existing, incoming).map((msg) => msg.id)).toEqual([
+      'temp_1',
+      'server_2',
+    ]);
+  });
+
+  it('does not match server copies against messages that were never sent from here', () => {
+    const existing = [
+      { id: 'server_1', text: 'hi', sender: 'user', timestamp: at(1) },
+    ];
+    const incoming = [
+      {
+        id: 'server_2',
+        clientId: null,
+        text: 'hi',
+        sender: 'user',
+        timestamp: at(2),
+      },
+    ];
+
+    expect(mergeMessages(existing, incoming)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,127 @@
+import {
+  MAX_PERSISTED_FILE_LENGTH,
+  createOutboxEntry,
+  loadOutbox,
+  saveOutbox,
+} from '../messaging/outbox';
+import { createMemoryAdapter } from '../storage/adapters';
+import { createCuoralStorage } from '../storage/cuoralStorage';
+
+// AsyncStorage's native module isn't there under Jest; the tests use a memory adapter instead
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const FILE_DATA = 'data:image/jpeg;base64,AAAA';
+
+const createTestStorage = () =>
+  createCuoralStorage({ adapter: createMemoryAdapter(), publicKey: 'pk_test' });
+
+const fileEntry = (id, fileData = FILE_DATA) =>
+  createOutboxEntry({
+    id,
+    sessionId: 's1',
+    text: '',
+    fileData,
+    fileName: `${id}.jpg`,
+  });
+
+describe('outbox', () => {
+  it('reads back saved entries with their attachments', async () => {
+    const storage = createTestStorage();
+    const entries = [
+      createOutboxEntry({ id: 'temp_1', sessionId: 's1', text: 'Hello' }),
+      fileEntry('temp_2'),
+    ];
+
+    await saveOutbox(storage, entries);
+
+    const [text, file] = await loadOutbox(storage);
+    expect(text).toMatchObject({ id: 'temp_1', text: 'Hello' });
+    expect(text.fileData).toBeFalsy();
+    expect(file).toEqual(entries[1]);
+  });
+
+  it('stores attachments apart from the outbox itself', async () => {
+    const storage = createTestStorage();
+
+    await saveOutbox(storage, [fileEntry('temp_1')]);
+
+    expect(await storage.getItem('cuoral_outbox')).not.toContain(FILE_DATA);
+    expect(await storage.getItem('cuoral_outbox_file_temp_1')).toBe(FILE_DATA);
+  });
+
+  it('removes an attachment once its entry leaves the outbox', async () => {
+    const storage = createTestStorage();
+    await saveOutbox(storage, [fileEntry('temp_1'), fileEntry('temp_2')]);
+
+    const [, remaining] = await loadOutbox(storage);
+    await saveOutbox(storage, [remaining]);
+
+    expect(await storage.getItem('cuoral_outbox_file_temp_1')).toBeNull();
+    expect(await storage.getItem('cuoral_outbox_file_temp_2')).toBe(FILE_DATA);
+
+    await saveOutbox(storage, []);
+
+    expect(await storage.getItem('cuoral_outbox')).toBeNull();
+    expect(await storage.getItem('cuoral_outbox_file_temp_2')).toBeNull();
+  });
+
+  it('only keeps attachments too large to persist until the app closes', async () => {
+    const storage = createTestStorage();
+    const large = `data:image/jpeg;base64,${'A'.repeat(
+      MAX_PERSISTED_FILE_LENGTH
+    )}`;
+
+    await saveOutbox(storage, [
+      fileEntry('temp_1', large),
+      createOutboxEntry({ id: 'temp_2', sessionId: 's1', text: 'Hello' }),
+    ]);
+
+    expect(await storage.getItem('cuoral_outbox_file_temp_1')).toBeNull();
+    expect((await loadOutbox(storage)).map((entry) => entry.id)).toEqual([
+      'temp_2',
+    ]);
+  });
+
+  it('drops failed entries without a message to retry from', async () => {
+    const storage = createTestStorage();
+    const failed = {
+      ...createOutboxEntry({ sessionId: 's1', text: 'Lost' }),
+      failed: true,
+    };
+    const retryable = {
+      ...createOutboxEntry({ id: 'temp_1', sessionId: 's1', text: 'Hello' }),
+      failed: true,
+    };
+
+    await saveOutbox(storage, [failed, retryable]);
+
+    expect((await loadOutbox(storage)).map((entry) => entry.id)).toEqual([
+      'temp_1',
+    ]);
+  });
+
+  it('reads attachments stored inline by earlier versions', async () => {
+    const storage = createTestStorage();
+    const legacyEntry = fileEntry('temp_1');
+    await storage.setItem('cuoral_outbox', JSON.stringify([legacyEntry]));
+
+    expect(await loadOutbox(storage)).toEqual([legacyEntry]);
+  });
+
+  it('leaves out entries whose attachment is missing', async () => {
+    const storage = createTestStorage();
+    await saveOutbox(storage, [fileEntry('temp_1')]);
+    await storage.removeItem('cuoral_outbox_file_temp_1');
+
+    expect(await loadOutbox(storage)).toEqual([]);
+  });
+
+  it('returns an empty outbox when the stored value is unreadable', async () => {
+    const storage = createTestStorage();
+    await storage.setItem('cuoral_outbox', '{not json');
+
+    expect(await loadOutbox(storage)).toEqual([]);
+  });
+});
@@ -0,0 +1,174 @@
+import {
+  CACHE_MAX_AGE_MS,
+  MAX_CACHED_MESSAGES,
+  MAX_CACHED_TRANSCRIPTS,
+  clearCachedTranscripts,
+  loadCachedTranscript,
+  saveCachedTranscript,
+} from '../messaging/transcriptCache';
+
+// Same surface as a scope from createCuoralStorage, kept in a Map
+const createTestStorage = () => {
+  const values = new Map();
+  return {
+    values,
+    getItem: async (name) => (values.has(name) ? values.get(name) : null),
+    setItem: async (name, value) => {
+      values.set(name, value);
+    },
+    removeItem: async (name) => {
+      values.delete(name);
+    },
+    multiRemove: async (names) => {
+      names.forEach((name) => values.delete(name));
+    },
+  };
+};
+
+const session = { email: 'jane@example.com', name: 'Jane' };
+
+const message = (id, overrides) => ({
+  id,
+  text: `Message ${id}`,
+  sender: 'bot',
+  timestamp: new Date(Date.UTC(2025, 0, 1, 12, 0, 0, id)),
+  ...overrides,
+});
+
+let now;
+beforeEach(() => {
+  now = Date.UTC(2025, 0, 1);
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('transcript cache', () => {
+  it('reads back a saved transcript with its timestamps as dates', async () => {
+    const storage = createTestStorage();
+    await saveCachedTranscript(storage, 's1', {
+      session,
+      messages: [message(1), message(2)],
+    });
+
+    const cached = await loadCachedTranscript(storage, 's1');
+
+    expect(cached.session).toEqual(session);
+    expect(cached.messages).toEqual([message(1), message(2)]);
+    expect(cached.messages[0].timestamp).toBeInstanceOf(Date);
+  });
+
+  it('leaves out unsent messages and local attachment previews', async () => {
+    const storage = createTestStorage();
+    await saveCachedTranscript(storage, 's1', {
+      session,
+      messages: [
+        message(1, { sender: 'user', status: 'sent' }),
+        message(2, { sender: 'user', status: 'queued' }),
+        message(3, { sender: 'user', status: 'failed' }),
+        message(4, {
+          sender: 'user',
+          status: 'sent',
+          fileUrl: 'data:image/jpeg;base64,AAAA',
+        }),
+      ],
+    });
+
+    const cached = await loadCachedTranscript(storage, 's1');
+
+    expect(cached.messages.map((msg) => msg.id)).toEqual([1, 4]);
+    expect(cached.messages[1].fileUrl).toBeNull();
+  });
+
+  it('keeps only the latest messages of a long transcript', async () => {
+    const storage = createTestStorage();
+    const messages = Array.from({ length: MAX_CACHED_MESSAGES + 10 }, (_, i) =>
+      message(i)
+    );
+    await saveCachedTranscript(storage, 's1', { session, messages });
+
+    const cached = await loadCachedTranscript(storage, 's1');
+
+    expect(cached.messages).toHaveLength(MAX_CACHED_MESSAGES);
+    expect(cached.messages[0].id).toBe(10);
+  });
+
+  it('evicts the least recently saved transcripts beyond the limit', async () => {
+    const storage = createTestStorage();
+    for (let i = 0; i <= MAX_CACHED_TRANSCRIPTS; i++) {
+      now += 1000;
+      await saveCachedTranscript(storage, `s${i}`, {
+        session,
+        messages: [message(i)],
+      });
+    }
+
+    expect(await loadCachedTranscript(storage, 's0')).toBeNull();
+    expect(await loadCachedTranscript(storage, 's1')).not.toBeNull();
+    expect(storage.values.has('cuoral_transcript_s0')).toBe(false);
+  });
+
+  it('counts saving again as recent use', async () => {
+    const storage = createTestStorage();
+    for (let i = 0; i < MAX_CACHED_TRANSCRIPTS; i++) {
+      now += 1000;
+      await saveCachedTranscript(storage, `s${i}`, {
+        session,
+        messages: [message(i)],
+      });
+    }
+    now += 1000;
+    await saveCachedTranscript(storage, 's0', { session, messages: [] });
+    now += 1000;
+    await saveCachedTranscript(storage, 'new', { session, messages: [] });
+
+    expect(await loadCachedTranscript(storage, 's0')).not.toBeNull();
+    expect(await loadCachedTranscript(storage, 's1')).toBeNull();
+  });
+
+  it('drops transcripts older than the max age', async () => {
+    const storage = createTestStorage();
+    await saveCachedTranscript(storage, 'old', {
+      session,
+      messages: [message(1)],
+    });
+    now += CACHE_MAX_AGE_MS / 2;
+    await saveCachedTranscript(storage, 'recent', {
+      session,
+      messages: [message(2)],
+    });
+
+    now += CACHE_MAX_AGE_MS / 2 + 1;
+
+    expect(await loadCachedTranscript(storage, 'old')).toBeNull();
+    expect(storage.values.has('cuoral_transcript_old')).toBe(false);
+    expect(await loadCachedTranscript(storage, 'recent')).not.toBeNull();
+  });
+
+  it('evicts expired transcripts when another one is saved', async () => {
+    const storage = createTestStorage();
+    await saveCachedTranscript(storage, 'old', {
+      session,
+      messages: [message(1)],
+    });
+    now += CACHE_MAX_AGE_MS + 1;
+    await saveCachedTranscript(storage, 'new', {
+      session,
+      messages: [message(2)],
+    });
+
+    expect(storage.values.has('cuoral_transcript_old')).toBe(false);
+  });
+
+  it('clears every cached transcript', async () => {
+    const storage = createTestStorage();
+    await saveCachedTranscript(storage, 's1', { session, messages: [] });
+    await saveCachedTranscript(storage, 's2', { session, messages: [] });
+
+    await clearCachedTranscripts(storage);
+
+    expect(storage.values.size).toBe(0);
+  });
+});
@@ -0,0 +1,186 @@
+// src/api/CuoralApiClient.js
+import {
+  CuoralCancelledError,
+  CuoralNetworkError,
+  CuoralServerError,
+  errorFromResponse,
+} from './errors';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const UPLOAD_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 5000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with a little jitter so reconnecting clients don't retry in lockstep.
+const getRetryDelay = (attempt) => {
+  const delay = Math.min(
+    RETRY_BASE_DELAY_MS * 2 ** (attempt - 1),
+    RETRY_MAX_DELAY_MS
+  );
+  return delay + Math.floor(Math.random() * RETRY_BASE_DELAY_MS);
+};
+
+const isRetryable = (error) =>
+  error instanceof CuoralNetworkError ||
+  error instanceof CuoralServerError ||
+  error.status === 429;
+
+// Error bodies aren't guaranteed to be JSON (proxies, gateways), so fall back to the raw text.
+const parseBody = async (response) => {
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+/**
+ * Creates the client used for every REST call the SDK makes.
+ * All requests are JSON POSTs with a timeout; idempotent ones are retried
+ * with exponential backoff on network and server errors.
+ *
+ * @param {object} options
+ * @param {string} options.publicKey - Public key sent as the `x-org-id` header.
+ * @param {object} options.endpoints - Endpoint URLs, as returned by `resolveEndpoints`.
+ * @param {number} [options.timeout=15000] - Per-request timeout in milliseconds.
+ * @param {number} [options.maxRetries=2] - Retries for idempotent requests.
+ * @param {Function} [options.fetchImpl] - Optional `fetch` implementation, defaults to the global one.
+ */
+export const createCuoralApiClient = ({
+  publicKey,
+  endpoints,
+  timeout = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  fetchImpl,
+}) => {
+  const activeControllers = new Set();
+  // Bumped by cancelAll() so requests waiting out a backoff delay know to stop.
+  let cancelGeneration = 0;
+
+  const send = async (url, body, requestTimeout) => {
+    const controller = new AbortController();
+    activeControllers.add(controller);
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, requestTimeout);
+
+    let response;
+    let data;
+    try {
+      response = await (fetchImpl || fetch)(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-org-id': publicKey || 'undefined',
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal,
+      });
+      data = await parseBody(response);
+    } catch (error) {
+      if (timedOut) {
+        const message = `Request timed out after ${requestTimeout}ms.`;
+        throw new CuoralNetworkError(message, {
+          isTimeout: true,
+          cause: error,
+        });
+      }
+      if (controller.signal.aborted) {
+        throw new CuoralCancelledError(undefined, { cause: error });
+      }
+      throw new CuoralNetworkError(error.message || 'Network request failed.', {
+        cause: error,
+      });
+    } finally {
+      clearTimeout(timer);
+      activeControllers.delete(controller);
+    }
+
+    if (!response.ok) {
+      throw errorFromResponse(response.status, data, response.statusText);
+    }
+    return data;
+  };
+
+  const request = async (
+    url,
+    body,
+    { idempotent = false, timeout: requestTimeout = timeout } = {}
+  ) => {
+    const generation = cancelGeneration;
+    const maxAttempts = idempotent ? maxRetries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await send(url, body, requestTimeout);
+      } catch (error) {
+        if (attempt >= maxAttempts || !isRetryable(error)) {
+          throw error;
+        }
+      }
+      await wait(getRetryDelay(attempt));
+      if (generation !== cancelGeneration) {
+        throw new CuoralCancelledError();
+      }
+    }
+  };
+
+  return {
+    initiateSession: (payload) => request(endpoints.initiateSession, payload),
+
+    getUserSessions: (payload) =>
+      request(endpoints.getUserSessions, payload, { idempotent: true }),
+
+    getSession: (sessionId, { limit, cursor } = {}) =>
+      request(
+        endpoints.getSession,
+        { session_id: sessionId, limit, cursor },
+        { idempotent: true }
+      ),
+
+    setProfile: (payload) =>
+      request(endpoints.setProfile, payload, { idempotent: true }),
+
+    uploadFile: (payload) =>
+      request(endpoints.fileUpload, payload, {
+        timeout: Math.max(timeout, UPLOAD_TIMEOUT_MS),
+      }),
+
+    stopBot: (sessionId) =>
+      request(
+        endpoints.stopBot,
+        { session_id: sessionId, pause_bot: true },
+        { idempotent: true }
+      ),
+
+    registerPushToken: (payload) =>
+      request(endpoints.registerPushToken, payload, { idempotent: true }),
+
+    unregisterPushToken: (payload) =>
+      request(endpoints.unregisterPushToken, payload, { idempotent: true }),
+
+    // Not retried: each attempt emails a new code, or uses one up
+    sendEmailOtp: (payload) => request(endpoints.sendEmailOtp, payload),
+
+    verifyEmailOtp: (payload) => request(endpoints.verifyEmailOtp, payload),
+
+    updateAttributes: (payload) =>
+      request(endpoints.updateAttributes, payload, { idempotent: true }),
+
+    /** Aborts every in-flight request. Pending calls reject with `CuoralCancelledError`. */
+    cancelAll: () => {
+      cancelGeneration += 1;
+      activeControllers.forEach((controller) => controller.abort());
+      activeControllers.clear();
+    },
+  };
+};
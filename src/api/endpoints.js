@@ -0,0 +1,49 @@
+// src/api/endpoints.js
+
+export const DEFAULT_API_BASE_URL = 'https://api.cuoral.com';
+export const DEFAULT_SOCKET_URL = 'https://wss.cuoral.com/';
+
+// Paths of the REST endpoints used by the SDK, relative to the API base URL.
+const ENDPOINT_PATHS = {
+  initiateSession: '/conversation/initiate-session',
+  getUserSessions: '/conversation/get-all-customer-sessions',
+  getSession: '/conversation/get-single-session',
+  setProfile: '/conversation/set-profile',
+  fileUpload: '/file-upload',
+  stopBot: '/conversation/session/stop-bot/widget',
+  registerPushToken: '/conversation/push-token/register',
+  unregisterPushToken: '/conversation/push-token/unregister',
+  sendEmailOtp: '/conversation/email-otp/send',
+  verifyEmailOtp: '/conversation/email-otp/verify',
+  updateAttributes: '/conversation/session/update-attributes',
+};
+
+const trimTrailingSlashes = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Builds the full set of Cuoral endpoint URLs.
+ *
+ * @param {object} [options]
+ * @param {string} [options.apiBaseUrl] - Base URL of the Cuoral REST API. Defaults to production.
+ * @param {string} [options.socketUrl] - URL of the Cuoral Socket.IO server. Defaults to production.
+ * @param {object} [options.endpoints] - Optional per-endpoint overrides (absolute URLs), keyed by
+ *   `initiateSession`, `getUserSessions`, `getSession`, `setProfile`, `fileUpload`, `stopBot`,
+ *   `registerPushToken`, `unregisterPushToken`, `sendEmailOtp`, `verifyEmailOtp` or
+ *   `updateAttributes`.
+ * @returns {object} Absolute URLs for every endpoint, plus `socketUrl`.
+ */
+export const resolveEndpoints = ({
+  apiBaseUrl = DEFAULT_API_BASE_URL,
+  socketUrl = DEFAULT_SOCKET_URL,
+  endpoints = {},
+} = {}) => {
+  const baseUrl = trimTrailingSlashes(apiBaseUrl || DEFAULT_API_BASE_URL);
+
+  const resolved = {};
+  Object.keys(ENDPOINT_PATHS).forEach((name) => {
+    resolved[name] = endpoints[name] || `${baseUrl}${ENDPOINT_PATHS[name]}`;
+  });
+  resolved.socketUrl = socketUrl || DEFAULT_SOCKET_URL;
+
+  return resolved;
+};
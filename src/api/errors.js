@@ -0,0 +1,87 @@
+// src/api/errors.js
+
+/**
+ * Base class for every error raised by the Cuoral API client.
+ * `status` is the HTTP status code (when a response was received) and
+ * `data` is the parsed response body, which may be a string if it wasn't JSON.
+ */
+export class CuoralError extends Error {
+  constructor(message, { status = null, data = null, cause } = {}) {
+    super(message);
+    this.name = 'CuoralError';
+    this.status = status;
+    this.data = data;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * The request never got a response: no connectivity, DNS failure, or timeout.
+ * `isTimeout` tells the two apart.
+ */
+export class CuoralNetworkError extends CuoralError {
+  constructor(message, { isTimeout = false, ...options } = {}) {
+    super(message, options);
+    this.name = 'CuoralNetworkError';
+    this.isTimeout = isTimeout;
+  }
+}
+
+/** The API rejected the public key or session credentials (401 / 403). */
+export class CuoralAuthError extends CuoralError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'CuoralAuthError';
+  }
+}
+
+/** The API rejected the request payload (any other 4xx). */
+export class CuoralValidationError extends CuoralError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'CuoralValidationError';
+  }
+}
+
+/** The API failed to handle a valid request (5xx). */
+export class CuoralServerError extends CuoralError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'CuoralServerError';
+  }
+}
+
+/** The request was aborted via `cancelAll()`, usually because the provider unmounted. */
+export class CuoralCancelledError extends CuoralError {
+  constructor(message = 'Request was cancelled.', options) {
+    super(message, options);
+    this.name = 'CuoralCancelledError';
+  }
+}
+
+/**
+ * Maps a non-2xx response to the matching error class.
+ *
+ * @param {number} status - HTTP status code.
+ * @param {*} data - Parsed response body.
+ * @param {string} [statusText] - HTTP status text, used when the body has no message.
+ * @returns {CuoralError}
+ */
+export const errorFromResponse = (status, data, statusText) => {
+  const detail =
+    (data && data.message) ||
+    (typeof data === 'string' && data) ||
+    statusText ||
+    'Request failed';
+  const message = `HTTP error! status: ${status}, message: ${detail}`;
+
+  if (status === 401 || status === 403) {
+    return new CuoralAuthError(message, { status, data });
+  }
+  if (status >= 500) {
+    return new CuoralServerError(message, { status, data });
+  }
+  return new CuoralValidationError(message, { status, data });
+};
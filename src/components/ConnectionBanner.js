@@ -0,0 +1,75 @@
+// src/components/ConnectionBanner.js
+import React from 'react';
+import { View, Text, StyleSheet, ActivityIndicator } from 'react-native';
+
+const CONNECTION_MESSAGES = {
+  connecting: 'Connecting...',
+  reconnecting: 'Reconnecting...',
+  offline: "You're offline. Messages will be sent when you reconnect.",
+};
+
+const COMPACT_CONNECTION_MESSAGES = {
+  connecting: 'Connecting...',
+  reconnecting: 'Reconnecting...',
+  offline: 'Offline',
+};
+
+/**
+ * ConnectionBanner shows the chat's socket connection state and renders
+ * nothing while connected.
+ *
+ * @param {object} props - The component props.
+ * @param {string} props.connectionState - 'connecting', 'connected', 'reconnecting' or 'offline'.
+ * @param {boolean} [props.compact=false] - Optional: Render a short single line for the modal header.
+ */
+const ConnectionBanner = ({ connectionState, compact = false }) => {
+  const messages = compact ? COMPACT_CONNECTION_MESSAGES : CONNECTION_MESSAGES;
+  const message = messages[connectionState];
+  if (!message) {
+    return null;
+  }
+
+  if (compact) {
+    return <Text style={styles.compactText}>{message}</Text>;
+  }
+
+  const isOffline = connectionState === 'offline';
+  return (
+    <View style={[styles.banner, isOffline && styles.bannerOffline]}>
+      {!isOffline && <ActivityIndicator size="small" color="#8A6D3B" />}
+      <Text style={[styles.bannerText, isOffline && styles.bannerTextOffline]}>
+        {message}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    backgroundColor: '#FFF3CD',
+  },
+  bannerOffline: {
+    backgroundColor: '#F8D7DA',
+  },
+  bannerText: {
+    marginLeft: 8,
+    fontSize: 13,
+    color: '#8A6D3B',
+  },
+  bannerTextOffline: {
+    marginLeft: 0,
+    color: '#721C24',
+  },
+  compactText: {
+    fontSize: 12,
+    color: 'rgba(255,255,255,0.85)',
+    textAlign: 'center',
+  },
+});
+
+export default ConnectionBanner;
@@ -1,35 +1,126 @@
 // src/context/CuoralContext.js
-import React, { createContext, useState, useContext, useCallback, useEffect, useRef } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage'; // For persisting session_id
+import React, { createContext, useState, useContext, useCallback, useEffect, useMemo, useRef } from 'react';
+import { AppState, Platform } from 'react-native';
 import { io } from 'socket.io-client'; // For real-time messaging
 import * as Notifications from 'expo-notifications'; // For push notifications
-import { Audio } from 'expo-av'; // For playing sound alerts
-
-// Set notification handler for foreground notifications
-Notifications.setNotificationHandler({
-    handleNotification: async () => ({
-        shouldShowAlert: true,
-        shouldPlaySound: true, // Let the app play its own sound if desired
-        shouldSetBadge: false,
-    }),
-});
+import { resolveEndpoints } from '../api/endpoints';
+import { emitCuoralEvent } from '../events';
+import { createCuoralApiClient } from '../api/CuoralApiClient';
+import { CuoralAuthError, CuoralCancelledError, CuoralNetworkError, CuoralValidationError } from '../api/errors';
+import { validateCustomAttributes } from '../identity/customAttributes';
+import { collectDeviceContext } from '../device/deviceContext';
+import { createOutboxEntry, loadOutbox, outboxEntryToMessage, saveOutbox } from '../messaging/outbox';
+import { emitWithAck, getServerMessageId, getUploadedFileUrl } from '../messaging/delivery';
+import {
+    MESSAGE_PAGE_SIZE,
+    compareByTimestamp,
+    createSeenIndex,
+    dedupeMessages,
+    getHistoryCursor,
+    getLatestTimeCreated,
+    hasSeenMessage,
+    markMessageSeen,
+    mergeMessages,
+    normalizeServerMessage,
+} from '../messaging/messages';
+import {
+    loadCachedConversations,
+    loadCachedTranscript,
+    removeCachedConversations,
+    removeCachedTranscript,
+    saveCachedConversations,
+    saveCachedTranscript,
+} from '../messaging/transcriptCache';
+import { countUnread, loadLastRead, saveLastRead } from '../messaging/unread';
+import { getPushToken, loadPushRegistration, savePushRegistration, unregisterPushRegistration } from '../notifications/pushToken';
+import { createNotificationData } from '../notifications/notificationResponse';
+import { resolveNotificationConfig } from '../notifications/notificationConfig';
+import {
+    DEFAULT_NOTIFICATION_SOUND,
+    createNotificationSoundPlayer,
+    loadSoundMuted,
+    saveSoundMuted,
+} from '../notifications/notificationSound';
+import { getEmailVerification, loadEmailVerifications, saveEmailVerification } from '../identity/emailVerification';
+import { ANONYMOUS_USER, SESSION_STORAGE_KEY, clearStoredUserData, isDifferentUser, moveStoredSession } from '../identity/userData';
+import { createCuoralStorage, getStorageUserId, migrateLegacyStorage } from '../storage/cuoralStorage';
 
 // Create the context
 const CuoralContext = createContext(null);
 
-const SESSION_STORAGE_KEY = 'cuoral_session_id';
+// How long the escalation notice waits before confirming an agent has been alerted
+const ESCALATION_NOTICE_DELAY = 3000;
+
+// Consecutive failed reconnection attempts after which the connection is reported as offline
+const OFFLINE_AFTER_ATTEMPTS = 3;
+// Debounce for writing the transcript cache while messages are arriving
+const CACHE_SAVE_DELAY = 500;
+// Pages fetched backwards when catching up; after a longer gap only the latest page is shown
+const MAX_RESYNC_PAGES = 5;
+
+// Outbox entries that should go out on the next flush; failed ones wait for a manual retry
+const isFlushable = (entry, sId) => entry.sessionId === sId && !entry.failed;
+
+// Session details worth caching alongside a transcript
+const getSessionDetails = (data) => ({
+    email: data.email,
+    name: data.name,
+    configuration: data.configuration,
+});
+
+// Identity verification fields sent with requests, leaving out the ones the host didn't provide
+const buildIdentityPayload = ({ userHash, identityToken }) => {
+    const identity = {};
+    if (userHash) {
+        identity.user_hash = userHash;
+    }
+    if (identityToken) {
+        identity.identity_token = identityToken;
+    }
+    return identity;
+};
+
+const createTempMessageId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
 
 /**
  * CuoralProvider component manages the global state for the Cuoral chat library,
  * including public key, user details (email, first name, last name), chat messages,
  * session ID, chat theme color, and API/socket loading states.
  *
+ * It can be mounted on its own (at the app root, for example) to build a custom
+ * chat UI with `useCuoral`; the bundled screens are just one consumer of it.
+ *
  * @param {object} props - The component props.
  * @param {string} props.publicKey - The public key for Cuoral.
  * @param {string} [props.initialEmail] - Initial email for the user.
  * @param {string} [props.initialFirstName] - Initial first name for the user.
  * @param {string} [props.initialLastName] - Initial last name for the user.
- * @param {Function} props.closeModal - Function to close the chat modal.
+ * @param {string} [props.apiBaseUrl] - Optional: Base URL of the Cuoral API (e.g. a staging or mock server).
+ * @param {string} [props.socketUrl] - Optional: URL of the Cuoral Socket.IO server.
+ * @param {object} [props.endpoints] - Optional: Per-endpoint URL overrides, see `resolveEndpoints`.
+ * @param {Function} [props.closeModal] - Function to close the chat modal. Not needed in headless mode.
+ * @param {Function} [props.onUnreadCountChange] - Optional: Called with the total unread count and the counts per session whenever it changes.
+ * @param {boolean} [props.enablePushNotifications=false] - Optional: Ask for notification permission and register the device's
+ *   push token with Cuoral, so agent replies can be delivered while the app is in the background.
+ * @param {Function} [props.onPushPermissionResult] - Optional: Called with the permission status ('granted', 'denied' or 'undetermined').
+ * @param {object} [props.notifications] - Optional: Local notification settings for incoming replies, see `resolveNotificationConfig`.
+ * @param {number|string|object|null} [props.soundSource] - Optional: Sound played when a reply arrives: a `require()`d asset,
+ *   a URI or `{ uri }`. Defaults to a bundled chime; pass null for no sound.
+ * @param {string} [props.userHash] - Optional: HMAC of the user's email signed by your server, for identity verification.
+ * @param {string} [props.identityToken] - Optional: JWT for the user signed by your server, for identity verification.
+ * @param {boolean} [props.requireIdentityVerification=false] - Optional: Refuse to list conversations without a `userHash`
+ *   or `identityToken`. Also enforced when the organisation's configuration requires verification.
+ * @param {boolean} [props.requireEmailVerification=false] - Optional: Confirm the user's email with a one-time code before
+ *   listing their past conversations. Skipped when a `userHash` or `identityToken` already proves who they are.
+ * @param {object} [props.customAttributes] - Optional: Key/value pairs about the user or session, e.g. `{ plan: 'pro' }`,
+ *   shown to agents and kept in sync when they change. See `validateCustomAttributes`.
+ * @param {boolean|object} [props.deviceContext] - Optional: Send device and app details when a session starts: `true`, or
+ *   `{ fields, modules }` to choose the fields and pass Expo modules, see `collectDeviceContext`. Off by default.
+ * @param {object} [props.storage] - Optional: `CuoralStorageAdapter` for everything the SDK persists. Defaults to
+ *   AsyncStorage. Read once on mount.
+ * @param {object} [props.userCommand] - Optional: `identify` or `logout` command from the imperative API, run once the
+ *   initial session setup has finished.
+ * @param {boolean} [props.isChatVisible=false] - Optional: Whether the chat is on screen, for `notifications.suppressWhileChatVisible`.
  * @param {React.ReactNode} props.children - Child components to be rendered within the provider's scope.
  */
 export const CuoralProvider = ({
@@ -37,7 +128,24 @@ export const CuoralProvider = ({
     initialEmail,
     initialFirstName,
     initialLastName,
-    closeModal,
+    apiBaseUrl,
+    socketUrl,
+    endpoints: endpointOverrides,
+    closeModal = () => {},
+    onUnreadCountChange,
+    enablePushNotifications = false,
+    onPushPermissionResult,
+    notifications,
+    isChatVisible = false,
+    soundSource = DEFAULT_NOTIFICATION_SOUND,
+    userHash,
+    identityToken,
+    requireIdentityVerification = false,
+    requireEmailVerification = false,
+    userCommand,
+    customAttributes,
+    deviceContext,
+    storage: storageAdapter,
     children,
 }) => {
     const [email, setEmail] = useState(initialEmail || '');
@@ -50,84 +158,312 @@ export const CuoralProvider = ({
     const [chatAgentName, setChatAgentName] = useState(''); // Default color, will be updated from config
     const [isLoadingSession, setIsLoadingSession] = useState(true); // Loading state for API calls
     const [sessionError, setSessionError] = useState(null); // Error state for API calls
+    const [lastError, setLastError] = useState(null); // Error instance behind sessionError, for branching on its class
     const [sessionProfileExists, setSessionProfileExists] = useState(false); // New state to track if session has profile info
     const [sessionStatus, setSessionStatus] = useState('loading'); // 'loading', 'active', 'closed', 'error'
+    const [isInitialized, setIsInitialized] = useState(false); // True once the initial session load/initiation has finished
+    const [connectionState, setConnectionState] = useState('connecting'); // 'connecting', 'connected', 'reconnecting', 'offline'
 
     const [userSessions,setUserSessions] = useState([])
+    const [userSessionsError, setUserSessionsError] = useState(null); // Why the conversation list was refused, shown on that list only
 
     // Temporary state for email/name input on the details screen (used only in ChatDetailsScreen)
     const [tempUserEmail, setTempUserEmail] = useState('');
     const [tempUserName, setTempUserName] = useState('');
 
+    // Text to pre-fill in the chat input, e.g. from Cuoral.startNewConversation({ prefillMessage })
+    const [draftMessage, setDraftMessage] = useState('');
+    const [hasOlderMessages, setHasOlderMessages] = useState(false);
+    const [isLoadingOlderMessages, setIsLoadingOlderMessages] = useState(false);
+    const [unreadCounts, setUnreadCounts] = useState({}); // Unread replies keyed by session id
+
     const socketRef = useRef(null); // Ref to hold the Socket.IO client instance
-    const notificationSound = useRef(new Audio.Sound()); // Ref for notification sound
+    const outboxRef = useRef(null); // Messages waiting for a connection, persisted across restarts (null until loaded)
+    const isFlushingOutboxRef = useRef(false);
+    const flushOutboxRef = useRef(null); // Latest flushOutbox, called from the socket's connect handler
+    const resyncMessagesRef = useRef(null); // Latest resyncMessages, called from the socket's connect handler
+    const lastSyncedAtRef = useRef(null); // time_created of the newest message received from the server
+    const seenMessageIdsRef = useRef(new Set()); // Server and client ids of every message in the transcript
+    const historyCursorRef = useRef(null); // Server cursor for the next page of older messages
+    const olderMessagesRef = useRef([]); // Older messages held back when the server returned the whole history
+    const isLoadingOlderRef = useRef(false);
+    // { sessionId, session } the transcript currently in `messages` belongs to; only this one is cached
+    const transcriptOwnerRef = useRef(null);
+    const reconcilePendingRef = useRef(false); // Showing a cached transcript the server couldn't confirm yet
+    const lastReadRef = useRef(null); // When each session was last viewed, loaded in setupCuoral
+    const onUnreadCountChangeRef = useRef(onUnreadCountChange);
+    onUnreadCountChangeRef.current = onUnreadCountChange;
+    const reportedUnreadCountRef = useRef(null);
+    const onPushPermissionResultRef = useRef(onPushPermissionResult);
+    onPushPermissionResultRef.current = onPushPermissionResult;
+    // Read by the socket handlers, so kept in refs rather than closed over
+    const notificationConfigRef = useRef(resolveNotificationConfig(notifications));
+    notificationConfigRef.current = resolveNotificationConfig(notifications);
+    const isChatVisibleRef = useRef(isChatVisible);
+    isChatVisibleRef.current = isChatVisible;
 
     // API Endpoints
-    const initiateSessionUrl = "https://api.cuoral.com/conversation/initiate-session";
-    const getuserSessionUrl = "https://api.cuoral.com/conversation/get-all-customer-sessions";
-    const getSessionUrl = "https://api.cuoral.com/conversation/get-single-session";
-    const setProfileUrl = "https://api.cuoral.com/conversation/set-profile";
-    const fileUploadUrl = "https://api.cuoral.com/file-upload";
-    const socketUrl = 'https://wss.cuoral.com/';
-
-    // URL for the notification sound - CHANGE THIS TO YOUR ACTUAL MP3 URL
-    const notificationSoundUrl = 'https://example.com/path/to/your/notification.mp3';
+    // Overrides are compared by value so an inline `endpoints` object doesn't recreate every callback on render.
+    const endpointOverridesKey = JSON.stringify(endpointOverrides || {});
+    const endpoints = useMemo(
+        () => resolveEndpoints({ apiBaseUrl, socketUrl, endpoints: JSON.parse(endpointOverridesKey) }),
+        [apiBaseUrl, socketUrl, endpointOverridesKey]
+    );
+    const apiClient = useMemo(() => createCuoralApiClient({ publicKey, endpoints }), [publicKey, endpoints]);
+
+    // Keyed by value so an inline `{ uri }` source doesn't reload the sound on every render
+    const soundSourceRef = useRef(soundSource);
+    soundSourceRef.current = soundSource;
+    const soundSourceKey = soundSource && typeof soundSource === 'object' ? JSON.stringify(soundSource) : soundSource;
+    const soundPlayer = useMemo(
+        () => (soundSourceKey ? createNotificationSoundPlayer(soundSourceRef.current) : null),
+        [soundSourceKey]
+    );
+    const [isSoundMuted, setIsSoundMuted] = useState(false);
+    const isSoundMutedRef = useRef(false);
+    isSoundMutedRef.current = isSoundMuted;
+
+    const identity = useMemo(() => buildIdentityPayload({ userHash, identityToken }), [userHash, identityToken]);
+    const identityRef = useRef(identity); // Read by the socket's connect handler
+    identityRef.current = identity;
+    const hasIdentity = Object.keys(identity).length > 0;
+    const [orgRequiresIdentityVerification, setOrgRequiresIdentityVerification] = useState(false);
+    const isIdentityVerificationRequired = requireIdentityVerification || orgRequiresIdentityVerification;
+    const [emailVerifications, setEmailVerifications] = useState(null); // Emails confirmed with a code on this device, null until loaded
+    const identifiedUserRef = useRef(null); // Set by identify() and logout(), replacing the user from the initial* props
+    // Everything is persisted in a namespace per public key and identified user
+    const [storageUserId, setStorageUserId] = useState(() => getStorageUserId(initialEmail));
+    // Updated as soon as identify() or logout() picks a namespace, before the new storage renders, so setup runs
+    // still loading the previous namespace can tell they're stale
+    const activeStorageUserIdRef = useRef(storageUserId);
+    // Whether a user switch has replaced `storage` since it was read, making whatever was loaded with it the previous user's
+    const isStorageStale = useCallback((usedStorage) => activeStorageUserIdRef.current !== usedStorage.userId, []);
+    // Switching adapters while running would strand the stored session, so the first one is kept
+    const storageAdapterRef = useRef(storageAdapter);
+    const storage = useMemo(() => createCuoralStorage({ adapter: storageAdapterRef.current, publicKey, userId: storageUserId }), [publicKey, storageUserId]);
+    const handledUserCommandRef = useRef(null);
+
+    // Compared by value like `endpoints`; invalid attributes are reported and left out rather than thrown during render
+    let customAttributesKey = '{}';
+    const customAttributesErrorRef = useRef(null);
+    customAttributesErrorRef.current = null;
+    try {
+        customAttributesKey = JSON.stringify(validateCustomAttributes(customAttributes || {}));
+    } catch (error) {
+        customAttributesErrorRef.current = error;
+    }
+    const customAttributesErrorMessage = customAttributesErrorRef.current?.message;
+    const [attributeUpdates, setAttributeUpdates] = useState({}); // From updateAttributes(), layered over the prop
+    const attributes = useMemo(() => ({ ...JSON.parse(customAttributesKey), ...attributeUpdates }), [customAttributesKey, attributeUpdates]);
+    const attributesKey = JSON.stringify(attributes);
+    const attributesRef = useRef(attributes); // Sent with initiateSession and setProfile
+    attributesRef.current = attributes;
+    const syncedAttributesRef = useRef(null); // { sessionId, key } of the attributes the server already has
+    const deviceContextRef = useRef(deviceContext); // Read when a session starts
+    deviceContextRef.current = deviceContext;
 
 
     // --- Push Notification Functions ---
-    const registerForPushNotificationsAsync = useCallback(async () => {
-        let token;
-        try {
-            const { status: existingStatus } = await Notifications.getPermissionsAsync();
-            let finalStatus = existingStatus;
+    // Links the device's push token to a session, unless it's already registered for it
+    const registerPushToken = useCallback(async (sId, token) => {
+        const registration = await loadPushRegistration(storage);
+        if (registration && registration.token === token && registration.sessionId === sId) {
+            return;
+        }
 
-            if (existingStatus !== 'granted') {
-                const { status } = await Notifications.requestPermissionsAsync();
-                finalStatus = status;
-            }
+        await apiClient.registerPushToken({
+            public_key: publicKey,
+            session_id: sId,
+            email: email || undefined,
+            push_token: token,
+            token_type: 'expo',
+            platform: Platform.OS,
+        });
+        await savePushRegistration(storage, { token, sessionId: sId });
+    }, [apiClient, storage, publicKey, email]);
 
-            if (finalStatus !== 'granted') {
-                alert('Failed to get push token for push notification!');
-                return null;
-            }
 
-            token = (await Notifications.getExpoPushTokenAsync()).data;
-            // You might want to send this token to your backend to link with the session/user
-            return token;
-        } catch (error) {
-            return null;
+    // Stops push notifications for the registered session, e.g. when the user logs out
+    const unregisterPushNotifications = useCallback(() => unregisterPushRegistration(apiClient, storage), [apiClient, storage]);
+
+    // Notifies the user of an incoming reply, as configured by the notifications prop.
+    // The session id in the data lets a tap on the notification open that conversation.
+    const sendLocalNotification = useCallback(async (message, sId) => {
+        const config = notificationConfigRef.current;
+        if (!config.enabled) {
+            return;
+        }
+        if (config.suppressWhileChatVisible && isChatVisibleRef.current && AppState.currentState === 'active') {
+            return;
         }
-    }, []);
 
-    const sendLocalNotification = useCallback(async (title, body) => {
+        const { title, body } = config.formatNotification(message);
         await Notifications.scheduleNotificationAsync({
             content: {
                 title: title,
                 body: body,
                 sound: 'default',
+                data: createNotificationData(sId),
             },
-            trigger: null,
+            trigger: config.androidChannelId ? { channelId: config.androidChannelId } : null,
         });
     }, []);
 
     // --- Sound Alert Function ---
     const playNotificationSound = useCallback(async () => {
+        if (!soundPlayer || isSoundMutedRef.current) {
+            return;
+        }
         try {
-            if (!notificationSound.current._loaded) {
-                await notificationSound.current.loadAsync({ uri: notificationSoundUrl });
+            await soundPlayer.play();
+        } catch {
+            // The player loads the sound again on the next reply
+        }
+    }, [soundPlayer]);
+
+
+    // Mutes or unmutes the chat's sound, remembered across launches
+    const setSoundMuted = useCallback(async (muted) => {
+        setIsSoundMuted(muted);
+        await saveSoundMuted(storage, muted);
+    }, [storage]);
+
+
+    useEffect(() => {
+        let isActive = true;
+        loadSoundMuted(storage).then((muted) => {
+            if (isActive) {
+                setIsSoundMuted(muted);
             }
-            await notificationSound.current.replayAsync();
-        } catch (error) {
+        });
+        return () => {
+            isActive = false;
+        };
+    }, [storage]);
+
+
+    useEffect(() => {
+        return () => {
+            soundPlayer?.unload().catch(() => {});
+        };
+    }, [soundPlayer]);
+
+
+    const updateMessage = useCallback((messageId, changes) => {
+        setMessages((prevMessages) => prevMessages.map((msg) => (msg.id === messageId ? { ...msg, ...changes } : msg)));
+    }, []);
+
+
+    // Queued and failed outbox entries for a session, as transcript messages
+    const getQueuedMessages = useCallback((sId) => {
+        return (outboxRef.current || [])
+            .filter((entry) => entry.sessionId === sId && entry.id)
+            .map(outboxEntryToMessage);
+    }, []);
+
+
+    const resetHistoryPaging = useCallback(() => {
+        historyCursorRef.current = null;
+        olderMessagesRef.current = [];
+        setHasOlderMessages(false);
+        transcriptOwnerRef.current = null;
+    }, []);
+
+
+    // Shows a session that has ended. It can't reconnect, so a socket left from the previous session is
+    // dropped and connectionState goes back to its initial value
+    const showClosedSession = useCallback((closedSessionId) => {
+        setSessionStatus('closed');
+        setMessages([]);
+        resetHistoryPaging();
+        removeCachedTranscript(storage, closedSessionId);
+        if (socketRef.current) {
+            socketRef.current.off();
+            socketRef.current.disconnect();
+            socketRef.current = null;
+        }
+        setConnectionState('connecting');
+    }, [storage, resetHistoryPaging]);
+
+
+    // Shows the latest page of a session's history, plus anything still queued for it. If the server
+    // ignored `limit` and returned everything, the older messages are held back and paged in client-side.
+    const showLatestPage = useCallback((data, loadedMessages) => {
+        const cursor = getHistoryCursor(data);
+        const heldBack = cursor ? [] : loadedMessages.slice(0, -MESSAGE_PAGE_SIZE);
+        const latestPage = cursor ? loadedMessages : loadedMessages.slice(-MESSAGE_PAGE_SIZE);
+        historyCursorRef.current = cursor;
+        olderMessagesRef.current = heldBack;
+        setHasOlderMessages(!!cursor || heldBack.length > 0);
+
+        const transcript = dedupeMessages([...latestPage, ...getQueuedMessages(data.session_id)]);
+        seenMessageIdsRef.current = createSeenIndex([...heldBack, ...transcript]);
+        transcriptOwnerRef.current = { sessionId: data.session_id, session: getSessionDetails(data) };
+        reconcilePendingRef.current = false;
+        setMessages(transcript);
+    }, [getQueuedMessages]);
+
+
+    // Shows a session's cached transcript right away, before the server copy arrives.
+    // Returns the cache entry, or null if nothing usable was cached.
+    const showCachedTranscript = useCallback(async (sId) => {
+        const cached = await loadCachedTranscript(storage, sId);
+        if (!cached || isStorageStale(storage)) {
+            return null;
+        }
+
+        resetHistoryPaging();
+        const transcript = dedupeMessages([...cached.messages, ...getQueuedMessages(sId)]);
+        seenMessageIdsRef.current = createSeenIndex(transcript);
+        const serverMessages = cached.messages.filter((msg) => !msg.status);
+        lastSyncedAtRef.current = serverMessages.length > 0 ? serverMessages[serverMessages.length - 1].timestamp : null;
+        transcriptOwnerRef.current = { sessionId: sId, session: cached.session };
+        setMessages(transcript);
+        setSessionStatus('active');
+        return cached;
+    }, [storage, getQueuedMessages, resetHistoryPaging, isStorageStale]);
+
+
+    // Applies the branding and profile details of a session
+    const applySessionDetails = useCallback((details) => {
+        setOrgRequiresIdentityVerification(!!details.configuration?.identity_verification_required);
+        if (details.configuration && details.configuration.color) {
+            setChatThemeColor(details.configuration.color);
+            setChatAgentName(details.configuration?.config_name)
+        }
+
+        const sessionEmail = details.email || '';
+        const sessionName = details.name || '';
+        //setEmail(sessionEmail);
+        const nameParts = sessionName.split(' ');
+        setFirstName(nameParts[0] || '');
+        setLastName(nameParts.slice(1).join(' ') || '');
+
+        setSessionProfileExists(!!sessionEmail && !!sessionName);
+    }, []);
+
+
+    // Keeps a stale cached transcript on screen when the server can't be reached; the socket
+    // resyncs it once it connects. Returns whether the error was handled this way.
+    const keepCachedTranscript = useCallback((sId, cached, error) => {
+        if (!cached || !(error instanceof CuoralNetworkError)) {
+            return false;
         }
-    }, [notificationSoundUrl]);
+        reconcilePendingRef.current = true;
+        connectSocket(sId);
+        return true;
+    }, [connectSocket]);
 
 
     // Function to initiate a new Cuoral session
     const initiateSession = useCallback(async (userEmail = undefined, userFirstName = undefined, userLastName = undefined) => {
         setIsLoadingSession(true);
         setSessionError(null);
+        setLastError(null);
         setSessionStatus('loading');
         setMessages([]); // Clear messages on new session initiation
+        seenMessageIdsRef.current = new Set();
+        resetHistoryPaging();
         setSessionProfileExists(false); // Reset profile status for new session
 
         try {
@@ -136,26 +472,30 @@ export const CuoralProvider = ({
                 email: userEmail,
                 first_name: userFirstName,
                 last_name: userLastName,
+                ...identity,
             };
-
-            const response = await fetch(initiateSessionUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    "x-org-id": publicKey || "undefined"
-                },
-                body: JSON.stringify(initiateSessionPayload),
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`HTTP error! status: ${response.status}, message: ${errorData.message || response.statusText}`);
+            const sentAttributesKey = JSON.stringify(attributesRef.current);
+            if (sentAttributesKey !== '{}') {
+                initiateSessionPayload.custom_attributes = attributesRef.current;
+            }
+            if (deviceContextRef.current) {
+                try {
+                    initiateSessionPayload.device_context = collectDeviceContext(deviceContextRef.current === true ? {} : deviceContextRef.current);
+                } catch (error) {
+                    emitCuoralEvent('error', { error }); // A bad allowlist mustn't stop the chat from starting
+                }
             }
 
-            const data = await response.json();
-            if (data.status && data.session_id) {
+            const data = await apiClient.initiateSession(initiateSessionPayload);
+            if (isStorageStale(storage)) {
+                return false; // Started for the user who was just switched away from
+            }
+            if (data && data.status && data.session_id) {
+                syncedAttributesRef.current = { sessionId: data.session_id, key: sentAttributesKey };
                 setSessionId(data.session_id);
-                await AsyncStorage.setItem(SESSION_STORAGE_KEY, data.session_id);
+                emitCuoralEvent('sessionStarted', { sessionId: data.session_id });
+                setOrgRequiresIdentityVerification(!!data.configuration?.identity_verification_required);
+                await storage.setItem(SESSION_STORAGE_KEY, data.session_id);
                 if (data.configuration && data.configuration.color) {
                     setChatThemeColor(data.configuration.color);
                     setChatAgentName(data.configuration?.config_name)
@@ -172,54 +512,145 @@ export const CuoralProvider = ({
                 throw new Error('Failed to initiate session: No session_id returned.');
             }
         } catch (error) {
+            if (error instanceof CuoralCancelledError || isStorageStale(storage)) return false;
+            setLastError(error);
             setSessionError(error.message || 'Failed to initiate chat session.');
             setSessionStatus('error');
             return false;
         } finally {
-            setIsLoadingSession(false);
+            if (!isStorageStale(storage)) {
+                setIsLoadingSession(false);
+            }
         }
-    }, [publicKey, getSession]);
+    }, [publicKey, apiClient, storage, getSession, resetHistoryPaging, identity, isStorageStale]);
 
 
     // Function to get user sessions
     const getUserSessions = useCallback(async (userEmail = undefined) => {
         // setIsLoadingSession(true);
         setSessionError(null);
+        setLastError(null);
+        setUserSessionsError(null);
         if (userEmail){
+        // Without proof of identity, anyone who knows the email could read these conversations
+        if (isIdentityVerificationRequired && !hasIdentity) {
+            const error = new CuoralAuthError('Identity verification is required to list conversations. Pass userHash or identityToken.');
+            setUserSessions([]);
+            setUserSessionsError(error);
+            emitCuoralEvent('error', { error });
+            return false;
+        }
+        // Read from storage rather than state, which may not have loaded yet
+        const emailVerification = getEmailVerification(await loadEmailVerifications(storage), userEmail);
+        if (requireEmailVerification && !hasIdentity && !emailVerification) {
+            const error = new CuoralAuthError('Confirm your email address to see your past conversations.');
+            setUserSessions([]);
+            setUserSessionsError(error);
+            emitCuoralEvent('error', { error });
+            return false;
+        }
+        // Show the cached list right away; the request below refreshes it
+        const cachedSessions = await loadCachedConversations(storage, userEmail);
+        if (cachedSessions) {
+            setUserSessions(cachedSessions);
+        }
         try {
             const getSessionPayload = {
                 public_key: publicKey,
                 email: userEmail,
+                ...identity,
             };
-   
-            const response = await fetch(getuserSessionUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    "x-org-id": publicKey || "undefined"
-                },
-                body: JSON.stringify(getSessionPayload),
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`HTTP error! status: ${response.status}, message: ${errorData.message || response.statusText}`);
+            if (emailVerification?.token) {
+                getSessionPayload.verification_token = emailVerification.token;
             }
-
-            const data = await response.json();
+   
+            const data = await apiClient.getUserSessions(getSessionPayload);
 
             setUserSessions(data)
+            await saveCachedConversations(storage, userEmail, data);
           
             return true;
           
         } catch (error) {
+            if (error instanceof CuoralCancelledError) return false;
+            if (cachedSessions && error instanceof CuoralNetworkError) return true; // Keep showing the cached list
+            // The server no longer accepts this email's verification, so ask for a new code next time
+            if (emailVerification && error instanceof CuoralAuthError) {
+                setEmailVerifications(await saveEmailVerification(storage, userEmail, null));
+            }
+            if (error instanceof CuoralAuthError) {
+                // Only the list is off limits; the rest of the chat keeps working
+                setUserSessions([]);
+                setUserSessionsError(error);
+                emitCuoralEvent('error', { error });
+                return false;
+            }
+            setLastError(error);
             setSessionError(error.message || 'Failed to initiate chat session.');
             return false;
         } finally {
             // setIsLoadingSession(false);
         }
     }
-    }, [publicKey]);
+    }, [publicKey, apiClient, storage, identity, hasIdentity, isIdentityVerificationRequired, requireEmailVerification]);
+
+
+    // Whether the user must confirm `userEmail` with a one-time code before seeing its past conversations
+    const needsEmailVerification = useCallback((userEmail) => (
+        requireEmailVerification && !hasIdentity && !!userEmail && !getEmailVerification(emailVerifications || {}, userEmail)
+    ), [requireEmailVerification, hasIdentity, emailVerifications]);
+
+
+    // Emails a one-time code to confirm the user owns `userEmail`
+    const sendEmailVerificationCode = useCallback(async (userEmail) => {
+        setLastError(null);
+        try {
+            const data = await apiClient.sendEmailOtp({ public_key: publicKey, email: userEmail });
+            if (!data || !data.status) {
+                throw new Error('Failed to send verification code: API returned false status.');
+            }
+            return true;
+        } catch (error) {
+            if (error instanceof CuoralCancelledError) return false;
+            setLastError(error);
+            return false;
+        }
+    }, [publicKey, apiClient]);
+
+
+    // Checks the code the user received; on success the email stays verified on this device
+    const verifyEmailCode = useCallback(async (userEmail, code) => {
+        setLastError(null);
+        try {
+            const data = await apiClient.verifyEmailOtp({ public_key: publicKey, email: userEmail, code });
+            if (!data || !data.status) {
+                throw new Error('Failed to verify code: API returned false status.');
+            }
+            const verifications = await saveEmailVerification(storage, userEmail, {
+                token: data.verification_token || null,
+                verifiedAt: Date.now(),
+            });
+            setEmailVerifications(verifications);
+            return true;
+        } catch (error) {
+            if (error instanceof CuoralCancelledError) return false;
+            setLastError(error);
+            return false;
+        }
+    }, [publicKey, apiClient, storage]);
+
+
+    useEffect(() => {
+        let isActive = true;
+        loadEmailVerifications(storage).then((verifications) => {
+            if (isActive) {
+                setEmailVerifications(verifications);
+            }
+        });
+        return () => {
+            isActive = false;
+        };
+    }, [storage]);
 
 
 
@@ -234,68 +665,44 @@ export const CuoralProvider = ({
         // }
        
         if(!sId){
-            sId = await AsyncStorage.getItem('cuoral_session_id');
+            sId = await storage.getItem(SESSION_STORAGE_KEY);
         }
         else if(typeof sIdd != String ){
-            sId = await AsyncStorage.getItem('cuoral_session_id');
+            sId = await storage.getItem(SESSION_STORAGE_KEY);
         }
 
-        setIsLoadingSession(true);
         setSessionError(null);
         // setSessionStatus('loading');
-        try {
-            const getSessionPayload = {
-                session_id: sId,
-            };
-            
-            const response = await fetch(getSessionUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    "x-org-id": publicKey || "undefined",
-                },
-                body: JSON.stringify(getSessionPayload),
-            });
+        setLastError(null);
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`HTTP error! status: ${response.status}, message: ${errorData.message || response.statusText}`);
-            }
+        // Render the cached transcript immediately and reconcile it with the server below
+        const cached = await showCachedTranscript(sId);
+        if (cached) {
+            setSessionId(sId);
+            applySessionDetails(cached.session);
+            setIsLoadingSession(false);
+        } else {
+            setIsLoadingSession(true);
+        }
 
-            const data = await response.json();
-            if (data.session_id) {
+        try {
+            const data = await apiClient.getSession(sId, { limit: MESSAGE_PAGE_SIZE });
+            if (isStorageStale(storage)) {
+                return false; // The user who owns this session was switched away from
+            }
+            if (data && data.session_id) {
                 setSessionId(data.session_id);
-                if (data.configuration && data.configuration.color) {
-                    setChatThemeColor(data.configuration.color);
-                    setChatAgentName(data.configuration?.config_name)
-                }
-
-                const sessionEmail = data.email || '';
-                const sessionName = data.name || '';
-                //setEmail(sessionEmail);
-                const nameParts = sessionName.split(' ');
-                setFirstName(nameParts[0] || '');
-                setLastName(nameParts.slice(1).join(' ') || '');
+                applySessionDetails(data);
 
-                setSessionProfileExists(!!sessionEmail && !!sessionName);
-
-                const loadedMessages = data.messages.map(msg => ({
-                    id: msg.time_created || `msg_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
-                    text: msg.message,
-                    sender: msg.message_type === 'REPLY' ? msg.author_type === 'HUMAN' ? 'admin' : 'bot': 'user',
-                    timestamp: new Date(msg.time_created),
-                    fileUrl: msg.file_url || null,
-                    fileName: msg.filename || null,
-                })).sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+                const loadedMessages = data.messages.map(normalizeServerMessage).sort(compareByTimestamp);
+                lastSyncedAtRef.current = getLatestTimeCreated(data.messages);
 
                 
 
                 if (data.status === 'closed') {
-                    setSessionStatus('closed');
-                    setMessages([]);
-                    // No socket connection if session is closed
+                    showClosedSession(data.session_id); // No socket connection if session is closed
                 } else {
-                    setMessages(loadedMessages);
+                    showLatestPage(data, loadedMessages);
                     setSessionStatus('active');
                     connectSocket(data.session_id); // Only connect socket if session is active
                 }
@@ -305,66 +712,47 @@ export const CuoralProvider = ({
                 throw new Error('Failed to retrieve session: Invalid session data or missing session ID.');
             }
         } catch (error) {
- 
+            if (error instanceof CuoralCancelledError || isStorageStale(storage)) return false;
+            if (keepCachedTranscript(sId, cached, error)) return true;
+            setLastError(error);
             setSessionError(error.message || 'Failed to load chat session.');
             setSessionStatus('error');
             return false;
         } finally {
-            setIsLoadingSession(false);
+            if (!isStorageStale(storage)) {
+                setIsLoadingSession(false);
+            }
         }
-    }, [publicKey, connectSocket, initiateSession]);
+    }, [apiClient, storage, connectSocket, initiateSession, showLatestPage, showClosedSession, showCachedTranscript, applySessionDetails, keepCachedTranscript, isStorageStale]);
 
 
     // Function to get a single session's details and messages
     const getSessionReload = useCallback(async (sId) => {
  
         if (!sId) {
-            sId = await AsyncStorage.getItem('cuoral_session_id');
+            sId = await storage.getItem(SESSION_STORAGE_KEY);
         }
         else if (typeof sIdd != String) {
-            sId = await AsyncStorage.getItem('cuoral_session_id');
+            sId = await storage.getItem(SESSION_STORAGE_KEY);
         }
-  
-        try {
-            const getSessionPayload = {
-                session_id: sId,
-            };
 
-            const response = await fetch(getSessionUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    "x-org-id": publicKey || "undefined",
-                },
-                body: JSON.stringify(getSessionPayload),
-            });
+        // Render the cached transcript immediately and reconcile it with the server below
+        const cached = await showCachedTranscript(sId);
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`HTTP error! status: ${response.status}, message: ${errorData.message || response.statusText}`);
-            }
-
-            const data = await response.json();
-            if (data.session_id) {
+        try {
+            const data = await apiClient.getSession(sId, { limit: MESSAGE_PAGE_SIZE });
+            if (data && data.session_id) {
                 
  
-                const loadedMessages = data.messages.map(msg => ({
-                    id: msg.time_created || `msg_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
-                    text: msg.message,
-                    sender: msg.message_type === 'REPLY' ? msg.author_type === 'HUMAN' ? 'admin' : 'bot' : 'user',
-                    timestamp: new Date(msg.time_created),
-                    fileUrl: msg.file_url || null,
-                    fileName: msg.filename || null,
-                })).sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+                const loadedMessages = data.messages.map(normalizeServerMessage).sort(compareByTimestamp);
+                lastSyncedAtRef.current = getLatestTimeCreated(data.messages);
 
 
 
                 if (data.status === 'closed') {
-                    setSessionStatus('closed');
-                    setMessages([]);
-                    // No socket connection if session is closed
+                    showClosedSession(data.session_id); // No socket connection if session is closed
                 } else {
-                    setMessages(loadedMessages);
+                    showLatestPage(data, loadedMessages);
                     setSessionStatus('active');
                     connectSocket(data.session_id); // Only connect socket if session is active
                 }
@@ -374,20 +762,118 @@ export const CuoralProvider = ({
                 throw new Error('Failed to retrieve session: Invalid session data or missing session ID.');
             }
         } catch (error) {
-
+            if (error instanceof CuoralCancelledError) return false;
+            if (keepCachedTranscript(sId, cached, error)) return true;
+            setLastError(error);
             setSessionError(error.message || 'Failed to load chat session.');
             setSessionStatus('error');
             return false;
         } finally {
             setIsLoadingSession(false);
         }
-    }, [publicKey]);
+    }, [apiClient, storage, connectSocket, showLatestPage, showClosedSession, showCachedTranscript, keepCachedTranscript]);
+
+
+    // Fetches messages newer than the last one we know of and merges them into the transcript.
+    // Used after a reconnect or when the app returns to the foreground. Starts from the latest page and only
+    // pages backwards while a page has nothing the transcript already shows.
+    const resyncMessages = useCallback(async (sId) => {
+        if (!sId) {
+            return;
+        }
+        try {
+            const since = lastSyncedAtRef.current;
+            const missed = [];
+            let latestPage = null;
+            let cursor; // Omitted for the latest page
+            let hasCaughtUp = false;
+            for (let pageCount = 0; pageCount < MAX_RESYNC_PAGES && !hasCaughtUp; pageCount += 1) {
+                const data = await apiClient.getSession(sId, { limit: MESSAGE_PAGE_SIZE, cursor });
+                if (!data || data.session_id !== sId || !Array.isArray(data.messages)) {
+                    return;
+                }
+                if (data.status === 'closed') {
+                    setSessionStatus('closed');
+                    return;
+                }
+
+                latestPage = latestPage || data;
+                const newer = data.messages.filter((msg) => !since || new Date(msg.time_created) > since);
+                missed.push(...newer);
+                cursor = getHistoryCursor(data);
+                hasCaughtUp = !since || newer.length < data.messages.length || !cursor;
+            }
+
+            if (!hasCaughtUp) {
+                // Too much was missed to fill the gap; start over from the latest page, as when the chat opens
+                lastSyncedAtRef.current = getLatestTimeCreated(latestPage.messages);
+                showLatestPage(latestPage, latestPage.messages.map(normalizeServerMessage).sort(compareByTimestamp));
+                return;
+            }
+            if (missed.length === 0) {
+                return;
+            }
+            lastSyncedAtRef.current = getLatestTimeCreated(missed);
+            const unseen = missed.map(normalizeServerMessage).filter((msg) => !hasSeenMessage(seenMessageIdsRef.current, msg));
+            unseen.forEach((msg) => markMessageSeen(seenMessageIdsRef.current, msg));
+            setMessages((prevMessages) => mergeMessages(prevMessages, unseen));
+        } catch {
+            // Best effort: the next reconnect or foreground tries again
+        }
+    }, [apiClient, showLatestPage]);
+    resyncMessagesRef.current = resyncMessages;
+
+
+    // Prepends the next page of older messages, e.g. when the user scrolls to the top of the chat
+    const loadOlderMessages = useCallback(async () => {
+        if (!sessionId || isLoadingOlderRef.current) {
+            return;
+        }
+
+        if (olderMessagesRef.current.length > 0) {
+            const page = olderMessagesRef.current.slice(-MESSAGE_PAGE_SIZE);
+            olderMessagesRef.current = olderMessagesRef.current.slice(0, -MESSAGE_PAGE_SIZE);
+            setHasOlderMessages(olderMessagesRef.current.length > 0);
+            setMessages((prevMessages) => [...page, ...prevMessages]);
+            return;
+        }
+
+        const cursor = historyCursorRef.current;
+        if (!cursor) {
+            return;
+        }
+
+        isLoadingOlderRef.current = true;
+        setIsLoadingOlderMessages(true);
+        try {
+            const data = await apiClient.getSession(sessionId, { limit: MESSAGE_PAGE_SIZE, cursor });
+            if (!data || data.session_id !== sessionId || historyCursorRef.current !== cursor) {
+                return; // The conversation changed while the page was loading
+            }
+
+            const page = (data.messages || [])
+                .map(normalizeServerMessage)
+                .filter((msg) => !hasSeenMessage(seenMessageIdsRef.current, msg))
+                .sort(compareByTimestamp);
+            page.forEach((msg) => markMessageSeen(seenMessageIdsRef.current, msg));
+            historyCursorRef.current = getHistoryCursor(data);
+            setHasOlderMessages(!!historyCursorRef.current);
+            setMessages((prevMessages) => [...page, ...prevMessages]);
+        } catch (error) {
+            if (error instanceof CuoralCancelledError) return;
+            setLastError(error);
+        } finally {
+            isLoadingOlderRef.current = false;
+            setIsLoadingOlderMessages(false);
+        }
+    }, [sessionId, apiClient]);
 
 
     // Function to set user profile for an existing session
     const setProfile = useCallback(async (sId, userEmail, userName) => {
         setIsLoadingSession(true);
         setSessionError(null);
+        setLastError(null);
         // setSessionStatus('loading');
         try {
             const payload = {
@@ -395,20 +881,14 @@ export const CuoralProvider = ({
                 email: userEmail,
                 name: userName,
             };
-
-            const response = await fetch(setProfileUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload),
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`HTTP error! status: ${response.status}, message: ${errorData.message || response.statusText}`);
+            const sentAttributesKey = JSON.stringify(attributesRef.current);
+            if (sentAttributesKey !== '{}') {
+                payload.custom_attributes = attributesRef.current;
             }
 
-            const data = await response.json();
-            if (data.status) {
+            const data = await apiClient.setProfile(payload);
+            if (data && data.status) {
+                syncedAttributesRef.current = { sessionId: sId, key: sentAttributesKey };
                 setEmail(userEmail);
                 const nameParts = userName.split(' ');
                 setFirstName(nameParts[0] || '');
@@ -420,14 +900,36 @@ export const CuoralProvider = ({
                 throw new Error('Failed to set profile: API returned false status.');
             }
         } catch (error) {
- 
+            if (error instanceof CuoralCancelledError) return false;
+            setLastError(error);
             setSessionError(error.message || 'Failed to set profile information.');
             setSessionStatus('error');
             return false;
         } finally {
             setIsLoadingSession(false);
         }
-    }, []);
+    }, [apiClient]);
+
+
+    // Advances the resync cursor when a message arrives over the socket
+    const recordSyncedAt = (timeCreated) => {
+        const created = timeCreated ? new Date(timeCreated) : null;
+        if (created && (!lastSyncedAtRef.current || created > lastSyncedAtRef.current)) {
+            lastSyncedAtRef.current = created;
+        }
+    };
+
+
+    // Adds a message received over the socket unless one with the same id is already in the transcript.
+    // Returns whether it was added.
+    const addIncomingMessage = (message) => {
+        if (hasSeenMessage(seenMessageIdsRef.current, message)) {
+            return false;
+        }
+        markMessageSeen(seenMessageIdsRef.current, message);
+        setMessages((prevMessages) => [...prevMessages, message].sort(compareByTimestamp));
+        return true;
+    };
 
 
     // Socket.IO Connection and Event Handling
@@ -443,7 +945,9 @@ export const CuoralProvider = ({
         }
 
   
-        const newSocket = io(socketUrl, {
+        setConnectionState('connecting');
+        const newSocket = io(endpoints.socketUrl, {
+            forceNew: true, // Fresh manager per session, so reconnection listeners don't pile up on a shared one
             autoConnect: true,
             reconnection: true,
             reconnectionAttempts: Infinity,
@@ -455,9 +959,23 @@ export const CuoralProvider = ({
 
         socketRef.current = newSocket;
 
+        let hasConnected = false;
         newSocket.on("connect", () => {
-   
-            newSocket.emit("join", sId);
+            setConnectionState('connected');
+            // The identity lets the server check the user may join this session's room
+            if (Object.keys(identityRef.current).length > 0) {
+                newSocket.emit("join", sId, identityRef.current);
+            } else {
+                newSocket.emit("join", sId);
+            }
+            // Send anything queued while we were offline, in order
+            flushOutboxRef.current?.(sId);
+            // Events broadcast while we were disconnected are lost, so fetch what we missed
+            if (hasConnected || reconcilePendingRef.current) {
+                reconcilePendingRef.current = false;
+                resyncMessagesRef.current?.(sId);
+            }
+            hasConnected = true;
         });
 
         newSocket.on("send_message", (message) => {
@@ -468,34 +986,16 @@ export const CuoralProvider = ({
             const incomingConversationId = message.room;
 
             if (isReply && isExternalChannel && incomingConversationId === sId) {
-                const newMessageFromSocket = {
-                    id: message.messageData.time_created || `socket_msg_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
-                    conversationId: incomingConversationId,
-                    text: message.messageData.message,
-                    sender: message.messageData.author_type === 'HUMAN' ? 'admin' : 'bot',
-                    timestamp: new Date(message.messageData.time_created || Date.now()),
-                    fileUrl: message.messageData.file_url || null,
-                    fileName: message.messageData.filename || null,
-                };
-                setMessages((prevMessages) => {
-                    const lastMessage = prevMessages[prevMessages.length - 1];
-                    // Check if the new message is a duplicate of the last message
-                    // Compare ID (derived from time_created + random) or text content
-                    if (
-                        lastMessage &&
-                        (lastMessage.id === newMessageFromSocket.id ||
-                            (lastMessage.text === newMessageFromSocket.text && lastMessage.sender === newMessageFromSocket.sender && lastMessage.fileUrl === newMessageFromSocket.fileUrl))
-                    ) {
-                        return prevMessages; // Return current messages without adding duplicate
-                    }
-                    if (newMessageFromSocket.sender === 'bot' || newMessageFromSocket.sender === 'admin') {
-                        playNotificationSound();
-                        sendLocalNotification(`You have a new message`, newMessageFromSocket.text);
-                    }
-                    return [...prevMessages, newMessageFromSocket].sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
-                });
-
-                
+                recordSyncedAt(message.messageData.time_created);
+                const newMessageFromSocket = { ...normalizeServerMessage(message.messageData), conversationId: incomingConversationId };
+                if (!addIncomingMessage(newMessageFromSocket)) {
+                    return;
+                }
+                emitCuoralEvent('messageReceived', { sessionId: sId, message: newMessageFromSocket });
+                if (newMessageFromSocket.sender === 'bot' || newMessageFromSocket.sender === 'admin') {
+                    playNotificationSound();
+                    sendLocalNotification(newMessageFromSocket, sId);
+                }
             }
         });
 
@@ -507,97 +1007,280 @@ export const CuoralProvider = ({
             const incomingConversationId = message.room;
 
             if (isExternalChannel && incomingConversationId === sId && message.messageData.message_type?.toLowerCase() === 'reply') {
-                const newFileMessageFromSocket = {
-                    id: message.messageData.time_created || `socket_file_msg_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
-                    conversationId: incomingConversationId,
-                    text: message.messageData.message || '',
-                    sender: message.messageData.author_type === 'HUMAN' ? 'admin' : 'bot',
-                    timestamp: new Date(message.messageData.time_created || Date.now()),
-                    fileUrl: message.messageData.file || message.messageData.file_url || null,
-                    fileName: message.messageData.filename || null,
-                };
-                setMessages((prevMessages) => {
-                    const lastMessage = prevMessages[prevMessages.length - 1];
-                    // Check if the new file message is a duplicate of the last message
-                    if (
-                        lastMessage &&
-                        (lastMessage.id === newFileMessageFromSocket.id ||
-                            (lastMessage.text === newFileMessageFromSocket.text && lastMessage.sender === newFileMessageFromSocket.sender && lastMessage.fileUrl === newFileMessageFromSocket.fileUrl))
-                    ) {
-                   
-                        return prevMessages; // Return current messages without adding duplicate
-                    }
-
-                    if (newFileMessageFromSocket.sender === 'bot' || newFileMessageFromSocket.sender === 'admin') {
-                        playNotificationSound();
-                        sendLocalNotification('New File from Cuoral', newFileMessageFromSocket.text || 'Image received.');
-                    }
-                    return [...prevMessages, newFileMessageFromSocket].sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
-                });
-
-                
+                recordSyncedAt(message.messageData.time_created);
+                const newFileMessageFromSocket = { ...normalizeServerMessage(message.messageData), conversationId: incomingConversationId };
+                if (!addIncomingMessage(newFileMessageFromSocket)) {
+                    return;
+                }
+                emitCuoralEvent('messageReceived', { sessionId: sId, message: newFileMessageFromSocket });
+                if (newFileMessageFromSocket.sender === 'bot' || newFileMessageFromSocket.sender === 'admin') {
+                    playNotificationSound();
+                    sendLocalNotification(newFileMessageFromSocket, sId);
+                }
             }
         });
 
-        newSocket.on("disconnect", (reason) => { });
+        newSocket.on("disconnect", (reason) => {
+            if (reason === 'io server disconnect') {
+                // The server closed the connection; Socket.IO won't retry on its own in this case
+                newSocket.connect();
+            }
+            setConnectionState('reconnecting');
+        });
         newSocket.on("error", (error) => {});
-        newSocket.on("connect_error", (error) => { });
+        newSocket.on("connect_error", (error) => {
+            if (!newSocket.active) {
+                setConnectionState('offline'); // Rejected by the server, no automatic retry
+            }
+        });
+
+        newSocket.io.on("reconnect_attempt", (attempt) => {
+            setConnectionState(attempt > OFFLINE_AFTER_ATTEMPTS ? 'offline' : 'reconnecting');
+        });
+        newSocket.io.on("reconnect_failed", () => {
+            setConnectionState('offline');
+        });
 
         newSocket.on("pong", (data) => {
             newSocket.emit("ping", (data) => { });
         });
 
-    }, [playNotificationSound, sendLocalNotification]);
+    }, [endpoints, playNotificationSound, sendLocalNotification]);
 
 
     // Function to clear the current session and initiate a new one
     const clearSessionAndInitiateNew = useCallback(async () => {
         // Disconnect current socket if it's active
         if (socketRef.current && socketRef.current.connected) {
+            socketRef.current.off(); // Remove all listeners so the deliberate disconnect isn't reported as a dropped connection
             socketRef.current.disconnect();
             socketRef.current = null;
         }
-        await AsyncStorage.removeItem(SESSION_STORAGE_KEY); // Remove stored session ID
+        const previousSessionId = await storage.getItem(SESSION_STORAGE_KEY);
+        await storage.removeItem(SESSION_STORAGE_KEY); // Remove stored session ID
+        if (previousSessionId) {
+            await removeCachedTranscript(storage, previousSessionId);
+            emitCuoralEvent('sessionClosed', { sessionId: previousSessionId, reason: 'reset' });
+        }
+        await removeCachedConversations(storage); // The new session isn't listed in it yet
         setSessionId(null);
         setMessages([]); // Clear messages
+        seenMessageIdsRef.current = new Set();
+        resetHistoryPaging();
         setSessionProfileExists(false); // Reset profile status
         // setSessionStatus('loading'); // Set status to loading before initiating new session
         setSessionError(null); // Clear any previous session errors
+        setLastError(null);
         setIsLoadingSession(true); // Indicate loading for the new session initiation
 
         // Initiate a new session without user details initially, or with temp if available
         await initiateSession(tempUserEmail, firstName, lastName);
 
-    }, [initiateSession, tempUserEmail, firstName, lastName]);
+    }, [storage, initiateSession, tempUserEmail, firstName, lastName, resetHistoryPaging]);
+
+
+    // Leaves the current user's session and continues as `nextUser`, in their own storage namespace.
+    // With `clearData`, everything stored about the current user is wiped first.
+    const switchUser = useCallback(async (nextUser, reason, { clearData = false } = {}) => {
+        // Set before anything is awaited, so setup runs started for the current user meanwhile give up
+        identifiedUserRef.current = nextUser;
+        const nextStorageUserId = getStorageUserId(nextUser.email);
+        activeStorageUserIdRef.current = nextStorageUserId;
+        if (socketRef.current) {
+            socketRef.current.off(); // Remove all listeners so the deliberate disconnect isn't reported as a dropped connection
+            socketRef.current.disconnect();
+            socketRef.current = null;
+        }
+        transcriptOwnerRef.current = null; // Stops the old transcript from being cached again
+        if (clearData) {
+            await clearStoredUserData(apiClient, storage);
+            setEmailVerifications({});
+            setAttributeUpdates({});
+        }
+        // Reloaded from the next user's namespace by the setup effect
+        outboxRef.current = null;
+        lastReadRef.current = null;
+        if (sessionId) {
+            emitCuoralEvent('sessionClosed', { sessionId, reason });
+        }
+
+        setMessages([]);
+        seenMessageIdsRef.current = new Set();
+        lastSyncedAtRef.current = null;
+        resetHistoryPaging();
+        setUserSessions([]);
+        setUserSessionsError(null);
+        setUnreadCounts({});
+        setEmail(nextUser.email);
+        setFirstName(nextUser.firstName);
+        setLastName(nextUser.lastName);
+        setSessionProfileExists(false);
+        setTempUserEmail('');
+        setTempUserName('');
+        setDraftMessage('');
+        setSessionError(null);
+        setLastError(null);
+
+        // The setup effect then loads the next user's stored session, or starts one
+        if (nextStorageUserId !== storageUserId) {
+            setStorageUserId(nextStorageUserId);
+        } else if (sessionId) {
+            setSessionId(null);
+        } else {
+            await initiateSession(nextUser.email, nextUser.firstName, nextUser.lastName);
+        }
+    }, [apiClient, storage, storageUserId, sessionId, resetHistoryPaging, initiateSession]);
+
+
+    // Forgets the current user, e.g. when they log out of the host app, and continues anonymously
+    const logout = useCallback(() => switchUser(ANONYMOUS_USER, 'logout', { clearData: true }), [switchUser]);
+
+
+    // Attaches the user's details to the live session, or switches to their own session if a different user was using it
+    const identify = useCallback(async ({ email: userEmail, firstName: userFirstName = '', lastName: userLastName = '' } = {}) => {
+        if (!userEmail) {
+            throw new CuoralValidationError('identify() requires an email.');
+        }
+        const nextUser = { email: userEmail, firstName: userFirstName, lastName: userLastName };
+        if (isDifferentUser(email, userEmail)) {
+            await switchUser(nextUser, 'userChanged');
+            return true;
+        }
+
+        identifiedUserRef.current = nextUser;
+        const nextStorageUserId = getStorageUserId(userEmail);
+        activeStorageUserIdRef.current = nextStorageUserId;
+        let success = true;
+        if (sessionId) {
+            const userName = `${userFirstName} ${userLastName}`.trim();
+            if (userName) {
+                success = await setProfile(sessionId, userEmail, userName);
+            } else {
+                // The chat asks for a name before the profile can be set
+                setEmail(userEmail);
+            }
+            if (success && nextStorageUserId !== storageUserId) {
+                // The anonymous session now belongs to the user, so file it under their namespace
+                await moveStoredSession(storage, createCuoralStorage({ adapter: storageAdapterRef.current, publicKey, userId: nextStorageUserId }));
+            }
+        }
+        if (nextStorageUserId !== storageUserId) {
+            setStorageUserId(nextStorageUserId);
+        } else if (!sessionId) {
+            success = await initiateSession(userEmail, userFirstName, userLastName);
+        }
+        return success;
+    }, [email, publicKey, storage, storageUserId, sessionId, switchUser, initiateSession, setProfile]);
+
+
+    // Merges attributes into the session's custom attributes; null clears one. Throws CuoralValidationError, keeping the
+    // current attributes, if the new ones or the merged set are invalid (e.g. too many attributes)
+    const updateAttributes = useCallback((nextAttributes) => {
+        validateCustomAttributes(nextAttributes);
+        attributesRef.current = validateCustomAttributes({ ...attributesRef.current, ...nextAttributes });
+        setAttributeUpdates(prev => ({ ...prev, ...nextAttributes }));
+    }, []);
+
+
+    useEffect(() => {
+        if (customAttributesErrorRef.current) {
+            emitCuoralEvent('error', { error: customAttributesErrorRef.current });
+        }
+    }, [customAttributesErrorMessage]);
+
+
+    // Sends the custom attributes whenever they change, and to stored sessions that were started without them
+    useEffect(() => {
+        if (!sessionId || sessionStatus !== 'active' || attributesKey === '{}') {
+            return;
+        }
+        const synced = syncedAttributesRef.current;
+        if (synced && synced.sessionId === sessionId && synced.key === attributesKey) {
+            return;
+        }
+        syncedAttributesRef.current = { sessionId, key: attributesKey };
+        apiClient.updateAttributes({
+            public_key: publicKey,
+            session_id: sessionId,
+            custom_attributes: JSON.parse(attributesKey),
+        }).catch(error => {
+            syncedAttributesRef.current = null; // Sent again on the next change or session
+            if (error instanceof CuoralCancelledError) return;
+            emitCuoralEvent('error', { error });
+        });
+    }, [sessionId, sessionStatus, attributesKey, apiClient, publicKey]);
+
+
+    // Runs identify() or logout() commands from the imperative API once the initial setup has finished
+    useEffect(() => {
+        if (!userCommand || !isInitialized || handledUserCommandRef.current === userCommand) {
+            return;
+        }
+        handledUserCommandRef.current = userCommand;
+        const run = userCommand.type === 'identify' ? identify(userCommand.user) : logout();
+        // Nobody awaits the command, so a failure, e.g. while clearing storage, is reported instead
+        run.catch(error => {
+            emitCuoralEvent('error', { error });
+        });
+    }, [userCommand, isInitialized, identify, logout]);
 
 
-    // This useEffect handles initial session loading and push notification registration
+    // This useEffect handles initial session loading
     useEffect(() => {
+        // A user switch replaced the storage this run was started with
+        const isStale = () => isStorageStale(storage);
         const setupCuoral = async () => {
+            if (isStale()) {
+                return;
+            }
             setIsLoadingSession(true);
             // setSessionStatus('loading'); // Explicitly set loading at start of setup
             try {
-                await registerForPushNotificationsAsync();
+                await migrateLegacyStorage(storage);
+                if (!outboxRef.current) {
+                    const outbox = await loadOutbox(storage);
+                    if (isStale()) {
+                        return;
+                    }
+                    outboxRef.current = outboxRef.current || outbox;
+                }
+                if (!lastReadRef.current) {
+                    const lastRead = await loadLastRead(storage);
+                    if (isStale()) {
+                        return;
+                    }
+                    lastReadRef.current = lastReadRef.current || lastRead;
+                }
 
-                const storedSessionId = await AsyncStorage.getItem(SESSION_STORAGE_KEY);
+                const seedUser = identifiedUserRef.current || { email: initialEmail, firstName: initialFirstName, lastName: initialLastName };
+                const storedSessionId = await storage.getItem(SESSION_STORAGE_KEY);
+                if (isStale()) {
+                    return;
+                }
                 let sessionSuccessfullyLoaded = false;
                 if (storedSessionId) {
                     
                     sessionSuccessfullyLoaded = await getSession(storedSessionId);
+                    if (isStale()) {
+                        return;
+                    }
                 }
 
                 if (!sessionSuccessfullyLoaded) {
-                    await initiateSession(initialEmail, initialFirstName, initialLastName);
+                    await initiateSession(seedUser.email, seedUser.firstName, seedUser.lastName);
+                    if (isStale()) {
+                        return;
+                    }
                 }
 
                 // AFTER session is loaded/initiated, check if profile needs to be set
                 // This runs only if a session (new or existing) has been established
                 // AND the profile is not yet set AND initial details are provided.
-                if (sessionId && !sessionProfileExists && (initialEmail || initialFirstName || initialLastName)) {
-                    const combinedName = `${initialFirstName || ''} ${initialLastName || ''}`.trim();
-                    if (initialEmail && combinedName) {
+                if (sessionId && !sessionProfileExists && (seedUser.email || seedUser.firstName || seedUser.lastName)) {
+                    const combinedName = `${seedUser.firstName || ''} ${seedUser.lastName || ''}`.trim();
+                    if (seedUser.email && combinedName) {
        
-                        await setProfile(sessionId, initialEmail, combinedName);
+                        await setProfile(sessionId, seedUser.email, combinedName);
                     }
                 }
 
@@ -605,20 +1288,143 @@ export const CuoralProvider = ({
                 setSessionError('Failed to load or initiate session.');
                 setSessionStatus('error');
             } finally {
-                setIsLoadingSession(false);
+                if (!isStale()) { // The run for the new storage reports its own progress
+                    setIsLoadingSession(false);
+                    setIsInitialized(true);
+                }
             }
         };
         setupCuoral();
+    }, [storage, getSession, initiateSession, initialEmail, initialFirstName, initialLastName, sessionId, sessionProfileExists, setProfile, isStorageStale]); // Added sessionId, sessionProfileExists, setProfile to dependencies
 
-        return () => {
-            if (notificationSound.current._loaded) {
-                notificationSound.current.unloadAsync();
+
+    // Catch up on messages missed while the app was in the background
+    useEffect(() => {
+        if (!sessionId || sessionStatus !== 'active') {
+            return undefined;
+        }
+        let previousAppState = AppState.currentState;
+        const subscription = AppState.addEventListener('change', (nextAppState) => {
+            if (previousAppState.match(/inactive|background/) && nextAppState === 'active') {
+                resyncMessages(sessionId);
             }
+            previousAppState = nextAppState;
+        });
+        return () => subscription.remove();
+    }, [sessionId, sessionStatus, resyncMessages]);
+
+
+    // Keep the cached transcript current so the chat renders instantly next time it opens
+    useEffect(() => {
+        const owner = transcriptOwnerRef.current;
+        if (!owner || owner.sessionId !== sessionId || sessionStatus !== 'active') {
+            return undefined;
+        }
+        const timer = setTimeout(() => {
+            saveCachedTranscript(storage, owner.sessionId, { session: owner.session, messages }).catch(() => {});
+        }, CACHE_SAVE_DELAY);
+        return () => clearTimeout(timer);
+    }, [storage, sessionId, sessionStatus, messages]);
+
+
+    // Marks a session's messages as read, e.g. while its chat is on screen
+    const markAsRead = useCallback(async (sId = sessionId) => {
+        if (!sId || !lastReadRef.current) {
+            return;
+        }
+        // Server timestamps can be slightly ahead of the device clock, so never mark read before the latest message
+        const latestMessage = sId === sessionId ? messages[messages.length - 1] : null;
+        const readAt = Math.max(Date.now(), latestMessage ? new Date(latestMessage.timestamp).getTime() : 0);
+        lastReadRef.current = { ...lastReadRef.current, [sId]: new Date(readAt).toISOString() };
+        setUnreadCounts((prevCounts) => (prevCounts[sId] ? { ...prevCounts, [sId]: 0 } : prevCounts));
+        await saveLastRead(storage, lastReadRef.current);
+    }, [storage, sessionId, messages]);
+
+
+    // Count replies the user hasn't seen in the current session
+    useEffect(() => {
+        if (!sessionId || !lastReadRef.current) {
+            return;
+        }
+        const count = countUnread(messages, lastReadRef.current[sessionId]);
+        setUnreadCounts((prevCounts) => ((prevCounts[sessionId] || 0) === count ? prevCounts : { ...prevCounts, [sessionId]: count }));
+    }, [sessionId, messages, isInitialized]);
+
+
+    const unreadCount = Object.values(unreadCounts).reduce((total, count) => total + count, 0);
+    useEffect(() => {
+        if (!isInitialized || reportedUnreadCountRef.current === unreadCount) {
+            return;
+        }
+        reportedUnreadCountRef.current = unreadCount;
+        onUnreadCountChangeRef.current?.(unreadCount, unreadCounts);
+    }, [isInitialized, unreadCount, unreadCounts]);
+
+
+    // Register for push notifications once a session is active, and again whenever the token changes
+    useEffect(() => {
+        if (!enablePushNotifications || !sessionId || sessionStatus !== 'active') {
+            return undefined;
+        }
+
+        let isActive = true;
+        const register = async (requestPermission) => {
+            try {
+                const { status, token } = await getPushToken({ requestPermission });
+                if (requestPermission) {
+                    onPushPermissionResultRef.current?.(status);
+                }
+                if (isActive && token) {
+                    await registerPushToken(sessionId, token);
+                }
+            } catch {
+                // Best effort: registration is retried the next time the session loads
+            }
+        };
+
+        register(true);
+        const subscription = Notifications.addPushTokenListener(() => register(false));
+        return () => {
+            isActive = false;
+            subscription.remove();
         };
-    }, [getSession, initiateSession, registerForPushNotificationsAsync, initialEmail, initialFirstName, initialLastName, sessionId, sessionProfileExists, setProfile]); // Added sessionId, sessionProfileExists, setProfile to dependencies
+    }, [enablePushNotifications, sessionId, sessionStatus, registerPushToken]);
+
+
+    useEffect(() => {
+        if (lastError) {
+            emitCuoralEvent('error', { error: lastError });
+        }
+    }, [lastError]);
+
+
+    // Report when the team closes the session the user is in
+    const previousSessionStatusRef = useRef(sessionStatus);
+    useEffect(() => {
+        if (previousSessionStatusRef.current === 'active' && sessionStatus === 'closed') {
+            emitCuoralEvent('sessionClosed', { sessionId, reason: 'closed' });
+        }
+        previousSessionStatusRef.current = sessionStatus;
+    }, [sessionId, sessionStatus]);
+
+
+    // Abort in-flight API requests when the provider unmounts (e.g. the modal is closed)
+    useEffect(() => {
+        return () => apiClient.cancelAll();
+    }, [apiClient]);
+
+
+    // Disconnect when the provider unmounts (e.g. the modal is closed without keepAlive), so a closed chat's
+    // handlers don't keep playing sounds and posting notifications next to the socket of the next one
+    useEffect(() => () => {
+        socketRef.current?.off();
+        socketRef.current?.disconnect();
+        socketRef.current = null;
+    }, []);
 
 
     const addMessageToState = useCallback((message) => {
+        markMessageSeen(seenMessageIdsRef.current, message);
         setMessages((prevMessages) => [...prevMessages, message]);
     }, []);
 
@@ -628,60 +1434,284 @@ export const CuoralProvider = ({
     }, []);
 
 
-    const sendMessageViaSocket = useCallback(async (text, fileData = null, fileName = null,message_type="QUERY") => {
-        if (!socketRef.current || !socketRef.current.connected || !sessionId) {
-            setSessionError('Cannot send message/file: Chat not connected.');
-            return;
-        }
-
+    // Sends one message (text or file) and resolves once the server has confirmed it.
+    // Resolves with the server's message id and hosted file URL, when it returns them.
+    const deliverMessage = useCallback(async (entry) => {
         const authorName = email || `${firstName || ''} ${lastName || ''}`.trim() || 'anonymous';
         const basePayload = {
             origin: "frontend",
-            message: text,
-            message_type: message_type,
+            message: entry.text,
+            message_type: entry.messageType,
             channel: 'external',
             author: authorName,
             author_type: "HUMAN",
-            conversation_id: sessionId,
+            conversation_id: entry.sessionId,
             organisation_id: publicKey,
+            client_message_id: entry.id, // Echoed back by the server so the message can be correlated
         };
 
+        if (entry.fileData) {
+            const fileUploadPayload = {
+                ...basePayload,
+                file: entry.fileData,
+                filename: entry.fileName,
+            };
+
+            // The upload response is the confirmation; the socket event only notifies the room, so it's skipped
+            // if the socket was torn down meanwhile (e.g. by a user switch) rather than failing a delivered file
+            const response = await apiClient.uploadFile(fileUploadPayload);
+            socketRef.current?.emit("send_file", { room: entry.sessionId });
+            return { id: getServerMessageId(response), fileUrl: getUploadedFileUrl(response) };
+
+        } else {
+            const textMessagePayload = {
+                ...basePayload,
+                file: null,
+                filename: null,
+            };
+            const ack = await emitWithAck(socketRef.current, "send_message", { room: entry.sessionId, messageData: textMessagePayload });
+            return { id: getServerMessageId(ack), fileUrl: null };
+        }
+    }, [email, firstName, lastName, publicKey, apiClient]);
+
+
+    // Updates the outbox in memory and persists it. Resolves with whether it could be persisted (e.g. not with a full disk).
+    const saveOutboxEntries = useCallback(async (entries) => {
+        outboxRef.current = entries;
         try {
-            if (fileData) {
-                const fileUploadPayload = {
-                    ...basePayload,
-                    file: fileData,
-                    filename: fileName,
-                };
-
-                const response = await fetch(fileUploadUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(fileUploadPayload),
-                });
-
-                if (!response.ok) {
-                    const errorData = await response.json();
-                    throw new Error(`File upload failed: ${response.status}, ${errorData.message || response.statusText}`);
+            await saveOutbox(storage, entries);
+            return true;
+        } catch (error) {
+            emitCuoralEvent('error', { error });
+            return false;
+        }
+    }, [storage]);
+
+
+    // Adds an entry to the outbox; failed entries are kept there (but not flushed) so they can be retried later
+    const enqueueMessage = useCallback(async (entry) => {
+        if (entry.id) {
+            updateMessage(entry.id, { status: entry.failed ? 'failed' : 'queued' });
+        }
+        const isPersisted = await saveOutboxEntries([...(outboxRef.current || []), entry]);
+        if (!isPersisted && !entry.failed && entry.id) {
+            // It would be lost on restart, so don't leave it looking queued: the user can retry it while the app runs
+            outboxRef.current = outboxRef.current.map((queued) => (queued === entry ? { ...entry, failed: true } : queued));
+            updateMessage(entry.id, { status: 'failed' });
+        }
+    }, [updateMessage, saveOutboxEntries]);
+
+
+    // Swaps the temporary id for the server's and marks the message as sent
+    const markMessageSent = useCallback((entry, result) => {
+        // Only the user's own messages; not e.g. the notice escalateToAgent sends as a REPLY
+        if (entry.messageType === 'QUERY') {
+            emitCuoralEvent('messageSent', {
+                sessionId: entry.sessionId,
+                message: { id: result.id || entry.id, text: entry.text, fileName: entry.fileName, messageType: entry.messageType },
+            });
+        }
+        if (!entry.id) {
+            return;
+        }
+        const changes = { status: 'sent' };
+        if (result.id) {
+            changes.id = result.id;
+            seenMessageIdsRef.current.add(String(result.id));
+        }
+        if (result.fileUrl) {
+            changes.fileUrl = result.fileUrl;
+        }
+        updateMessage(entry.id, changes);
+    }, [updateMessage]);
+
+
+    // Sends queued messages for a session in order. Stops if the connection drops;
+    // messages the server rejects or never confirms are marked as failed.
+    const flushOutbox = useCallback(async (sId) => {
+        if (isFlushingOutboxRef.current) {
+            return;
+        }
+        isFlushingOutboxRef.current = true;
+
+        try {
+            while (socketRef.current && socketRef.current.connected) {
+                const entry = (outboxRef.current || []).find((queued) => isFlushable(queued, sId));
+                if (!entry) {
+                    break;
                 }
-                socketRef.current.emit("send_file", { room: sessionId });
 
-            } else {
-                const textMessagePayload = {
-                    ...basePayload,
-                    file: null,
-                    filename: null,
-                };
-                socketRef.current.emit("send_message", { room: sessionId, messageData: textMessagePayload });
+                try {
+                    const result = await deliverMessage(entry);
+                    await saveOutboxEntries(outboxRef.current.filter((queued) => queued !== entry));
+                    markMessageSent(entry, result);
+                } catch (error) {
+                    if (error instanceof CuoralCancelledError) {
+                        break;
+                    }
+                    if (error instanceof CuoralNetworkError && !(socketRef.current && socketRef.current.connected)) {
+                        break; // Keep it queued for the next reconnect
+                    }
+                    if (entry.id) {
+                        await saveOutboxEntries(outboxRef.current.map((queued) => (queued === entry ? { ...entry, failed: true } : queued)));
+                        updateMessage(entry.id, { status: 'failed' });
+                    } else {
+                        // Nothing on screen could offer a retry, so it isn't kept
+                        await saveOutboxEntries(outboxRef.current.filter((queued) => queued !== entry));
+                        setLastError(error);
+                    }
+                }
             }
+        } finally {
+            isFlushingOutboxRef.current = false;
+        }
+    }, [deliverMessage, saveOutboxEntries, markMessageSent, updateMessage]);
+    flushOutboxRef.current = flushOutbox;
+
+
+    // Sends an entry right away when connected, otherwise queues it in the outbox
+    const dispatchOutboxEntry = useCallback(async (entry) => {
+        const isConnected = socketRef.current && socketRef.current.connected;
+        const hasQueued = (outboxRef.current || []).some((queued) => isFlushable(queued, entry.sessionId));
+
+        // Anything sent while older messages are still queued goes behind them to preserve order
+        if (!isConnected || hasQueued) {
+            await enqueueMessage(entry);
+            if (isConnected) {
+                flushOutbox(entry.sessionId);
+            }
+            return;
+        }
+
+        try {
+            const result = await deliverMessage(entry);
+            markMessageSent(entry, result);
         } catch (error) {
-            setSessionError(error.message || "Failed to send message/file.");
+            if (error instanceof CuoralCancelledError) return;
+            if (error instanceof CuoralNetworkError && !(socketRef.current && socketRef.current.connected)) {
+                await enqueueMessage(entry);
+                return;
+            }
+            if (!entry.id) {
+                // No bubble to show the failure on or retry it from, so surface it as a session error instead of keeping it
+                setLastError(error);
+                setSessionError(error.message || "Failed to send message/file.");
+                return;
+            }
+            await enqueueMessage({ ...entry, failed: true });
         }
-    }, [socketRef, sessionId, email, firstName, lastName, publicKey]);
+    }, [deliverMessage, enqueueMessage, flushOutbox, markMessageSent]);
+
+
+    // Sends a message right away when connected, otherwise queues it in the outbox.
+    // messageId links the outbox entry to the optimistic message so its delivery state can be shown.
+    const sendMessageViaSocket = useCallback(async (text, fileData = null, fileName = null,message_type="QUERY", messageId = null) => {
+        if (!sessionId) {
+            setSessionError('Cannot send message/file: Chat not connected.');
+            return;
+        }
+
+        const entry = createOutboxEntry({ id: messageId, sessionId, text, fileData, fileName, messageType: message_type });
+        await dispatchOutboxEntry(entry);
+    }, [sessionId, dispatchOutboxEntry]);
+
+
+    // Sends a failed message again
+    const retryMessage = useCallback(async (messageId) => {
+        const entry = (outboxRef.current || []).find((queued) => queued.id === messageId && queued.failed);
+        if (!entry) {
+            return;
+        }
+
+        await saveOutboxEntries(outboxRef.current.filter((queued) => queued !== entry));
+        updateMessage(messageId, { status: 'pending' });
+        const { failed, ...retryEntry } = entry;
+        await dispatchOutboxEntry(retryEntry);
+    }, [saveOutboxEntries, updateMessage, dispatchOutboxEntry]);
+
+
+    // Removes an unsent message from the transcript and the outbox
+    const deleteMessage = useCallback(async (messageId) => {
+        setMessages((prevMessages) => prevMessages.filter((msg) => msg.id !== messageId));
+        await saveOutboxEntries((outboxRef.current || []).filter((queued) => queued.id !== messageId));
+    }, [saveOutboxEntries]);
+
+
+    // Adds a text message to the transcript right away and sends it
+    const sendMessage = useCallback((text) => {
+        const messageText = (text || '').trim();
+        if (!messageText) {
+            return null;
+        }
+
+        const clientId = createTempMessageId('temp_msg');
+        const message = {
+            id: clientId, // Temporary ID, replaced by the server's once sent
+            clientId, // Correlation id, kept after the swap
+            text: messageText,
+            sender: 'user',
+            timestamp: new Date(),
+            fileUrl: undefined,
+            fileName: undefined,
+            status: 'pending', // 'pending' | 'queued' | 'sent' | 'failed'
+        };
+        addMessageToState(message);
+        sendMessageViaSocket(messageText, null, null, 'QUERY', message.id);
+        return message;
+    }, [addMessageToState, sendMessageViaSocket]);
+
+
+    // Adds a file message (base64 data URI) to the transcript right away and uploads it
+    const sendFile = useCallback((fileData, fileName, text = '') => {
+        if (!fileData) {
+            return null;
+        }
+
+        const clientId = createTempMessageId('temp_file_msg');
+        const message = {
+            id: clientId,
+            clientId,
+            text: (text || '').trim(),
+            sender: 'user',
+            timestamp: new Date(),
+            fileUrl: fileData,
+            fileName: fileName,
+            status: 'pending',
+        };
+        addMessageToState(message);
+        sendMessageViaSocket(message.text, fileData, fileName, 'QUERY', message.id);
+        return message;
+    }, [addMessageToState, sendMessageViaSocket]);
+
+
+    // Pauses the bot for the current session and lets the user know an agent has been alerted
+    const escalateToAgent = useCallback(async () => {
+        if (!sessionId || !publicKey) {
+            return false;
+        }
+
+        await apiClient.stopBot(sessionId);
+        emitCuoralEvent('escalated', { sessionId });
+        sendMessage('Not satisfied? Talk to an agent');
+
+        await new Promise((resolve) => setTimeout(resolve, ESCALATION_NOTICE_DELAY));
+        sendMessageViaSocket('An internal alert has been sent, an agent will be with you shortly, please hold on.', null, null, 'REPLY');
+        return true;
+    }, [sessionId, publicKey, apiClient, sendMessage, sendMessageViaSocket]);
+
+
+    // Switches to an existing session (e.g. picked from the conversation list) and loads its messages
+    const openSession = useCallback(async (sId) => {
+        await storage.setItem(SESSION_STORAGE_KEY, sId);
+        setSessionId(sId);
+        return getSessionReload(sId);
+    }, [storage, getSessionReload]);
 
 
     const contextValue = {
         publicKey,
+        endpoints,
+        apiClient,
         email,
         firstName,
         lastName,
@@ -690,9 +1720,20 @@ export const CuoralProvider = ({
         chatAgentName,
         isLoadingSession,
         sessionError,
+        lastError,
         sessionProfileExists,
         sessionStatus, // Expose new sessionStatus
+        connectionState,
+        isInitialized,
         messages,
+        unreadCount,
+        unreadCounts,
+        markAsRead,
+        hasOlderMessages,
+        isLoadingOlderMessages,
+        loadOlderMessages,
+        draftMessage,
+        setDraftMessage,
         tempUserEmail,
         setTempUserEmail,
         tempUserName,
@@ -702,11 +1743,28 @@ export const CuoralProvider = ({
         getSession,
         setProfile,
         addMessage: addMessageToState,
+        sendMessage,
+        sendFile,
+        escalateToAgent,
+        openSession,
         sendMessageViaSocket,
+        retryMessage,
+        deleteMessage,
         resetTempUserData,
         clearSessionAndInitiateNew, // Expose new function
+        isSoundMuted,
+        setSoundMuted,
+        unregisterPushNotifications,
+        identify,
+        logout,
+        updateAttributes,
+        needsEmailVerification,
+        emailVerificationsLoaded: emailVerifications !== null,
+        sendEmailVerificationCode,
+        verifyEmailCode,
         socketInstance: socketRef.current,
         userSessions,
+        userSessionsError,
         getUserSessions,
         setSessionId,
         getSessionReload
@@ -726,7 +1784,7 @@ export const CuoralProvider = ({
  */
 export const useCuoral = () => {
     const context = useContext(CuoralContext);
-    if (context === undefined) {
+    if (!context) {
         throw new Error('useCuoral must be used within a CuoralProvider');
     }
     return context;
@@ -0,0 +1,65 @@
+// src/device/deviceContext.js
+import { Dimensions, Platform } from 'react-native';
+import { CuoralValidationError } from '../api/errors';
+
+const getIntlOptions = () => Intl.DateTimeFormat().resolvedOptions();
+
+// How each field is read. `Device`, `Application` and `Localization` are the
+// optional `expo-device`, `expo-application` and `expo-localization` modules.
+const FIELD_READERS = {
+  platform: () => Platform.OS,
+  osVersion: ({ Device }) => Device?.osVersion ?? String(Platform.Version),
+  deviceModel: ({ Device }) =>
+    Device?.modelName ?? Platform.constants?.Model ?? null,
+  appVersion: ({ Application }) => Application?.nativeApplicationVersion,
+  appBuild: ({ Application }) => Application?.nativeBuildVersion,
+  locale: ({ Localization }) =>
+    Localization?.getLocales?.()[0]?.languageTag ?? getIntlOptions().locale,
+  timezone: ({ Localization }) =>
+    Localization?.getCalendars?.()[0]?.timeZone ?? getIntlOptions().timeZone,
+  screenSize: () => {
+    const { width, height } = Dimensions.get('screen');
+    return `${Math.round(width)}x${Math.round(height)}`;
+  },
+};
+
+export const DEVICE_CONTEXT_FIELDS = Object.keys(FIELD_READERS);
+
+/**
+ * Reads the device and app details agents see next to a new conversation.
+ * Only the allowlisted fields are read; ones that can't be determined, e.g.
+ * the app version without `expo-application`, are left out.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.fields] - Allowlist from `DEVICE_CONTEXT_FIELDS`. Defaults to all of them.
+ * @param {object} [options.modules] - Optional Expo modules for more accurate details:
+ *   `{ Device, Application, Localization }`, e.g. `import * as Device from 'expo-device'`.
+ * @returns {object} Values keyed by field.
+ * @throws {CuoralValidationError} If `fields` names an unknown field.
+ */
+export const collectDeviceContext = ({
+  fields = DEVICE_CONTEXT_FIELDS,
+  modules = {},
+} = {}) => {
+  const unknownField = fields.find(
+    (field) => !DEVICE_CONTEXT_FIELDS.includes(field)
+  );
+  if (unknownField !== undefined) {
+    throw new CuoralValidationError(
+      `Unknown device context field "${unknownField}". Use one of: ${DEVICE_CONTEXT_FIELDS.join(', ')}.`
+    );
+  }
+
+  const context = {};
+  fields.forEach((field) => {
+    try {
+      const value = FIELD_READERS[field](modules);
+      if (value !== null && value !== undefined) {
+        context[field] = value;
+      }
+    } catch {
+      // A module that isn't linked in this build just leaves the field out
+    }
+  });
+  return context;
+};
@@ -0,0 +1,76 @@
+// src/events.js
+
+/**
+ * Events emitted by the SDK, with their payloads:
+ * - `open`, `close`: the chat was opened or closed.
+ * - `sessionStarted`: `{ sessionId }` a new session was created.
+ * - `sessionClosed`: `{ sessionId, reason }` the session was closed by the team (`'closed'`),
+ *   ended by the user starting a new one (`'reset'`), or left behind by `logout()` (`'logout'`)
+ *   or by `identify()` with a different user (`'userChanged'`).
+ * - `messageSent`: `{ sessionId, message }` the server confirmed a message from the user.
+ * - `messageReceived`: `{ sessionId, message }` a reply arrived from the bot or an agent.
+ * - `escalated`: `{ sessionId }` the user asked for a human agent.
+ * - `error`: `{ error }` an SDK operation failed; `error` is a `CuoralError` for API failures.
+ * - `screenChange`: `{ screen, previousScreen }` the chat navigated to another screen.
+ */
+export const CUORAL_EVENTS = [
+  'open',
+  'close',
+  'sessionStarted',
+  'sessionClosed',
+  'messageSent',
+  'messageReceived',
+  'escalated',
+  'error',
+  'screenChange',
+];
+
+const listeners = {};
+
+/**
+ * Emits an SDK event to every listener. A listener that throws doesn't stop
+ * the others, or the SDK.
+ *
+ * @param {string} event - One of `CUORAL_EVENTS`.
+ * @param {object} [payload] - Event data.
+ */
+export const emitCuoralEvent = (event, payload = {}) => {
+  (listeners[event] || []).slice().forEach((listener) => {
+    try {
+      listener(payload);
+    } catch {
+      // Host listeners must not break the chat
+    }
+  });
+};
+
+/**
+ * Subscribes to SDK events from anywhere in the host app, e.g. for analytics.
+ */
+const cuoralEvents = {
+  /**
+   * Adds a listener.
+   *
+   * @param {string} event - One of `CUORAL_EVENTS`.
+   * @param {Function} listener - Receives the event payload.
+   * @returns {Function} Removes the listener.
+   */
+  on: (event, listener) => {
+    listeners[event] = [...(listeners[event] || []), listener];
+    return () => cuoralEvents.off(event, listener);
+  },
+
+  /**
+   * Removes a listener added with `on`.
+   *
+   * @param {string} event - The event it was added for.
+   * @param {Function} listener - The listener to remove.
+   */
+  off: (event, listener) => {
+    listeners[event] = (listeners[event] || []).filter(
+      (existing) => existing !== listener
+    );
+  },
+};
+
+export default cuoralEvents;
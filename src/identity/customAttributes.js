@@ -0,0 +1,55 @@
+// src/identity/customAttributes.js
+import { CuoralValidationError } from '../api/errors';
+
+export const MAX_CUSTOM_ATTRIBUTES = 50;
+export const MAX_ATTRIBUTE_VALUE_LENGTH = 255;
+
+const ATTRIBUTE_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,49}$/;
+
+const isValidValue = (value) =>
+  value === null ||
+  typeof value === 'boolean' ||
+  (typeof value === 'number' && Number.isFinite(value)) ||
+  (typeof value === 'string' && value.length <= MAX_ATTRIBUTE_VALUE_LENGTH);
+
+/**
+ * Checks custom attributes before they're sent to Cuoral. Keys start with a
+ * letter and hold up to 50 letters, digits and underscores. Values are
+ * strings of up to 255 characters, finite numbers, booleans, or null to clear
+ * the attribute.
+ *
+ * @param {object} attributes - E.g. `{ userId: 'u_123', plan: 'pro', seats: 5 }`.
+ * @returns {object} The attributes.
+ * @throws {CuoralValidationError} If the attributes, or any key or value, are invalid.
+ */
+export const validateCustomAttributes = (attributes) => {
+  if (
+    !attributes ||
+    typeof attributes !== 'object' ||
+    Array.isArray(attributes)
+  ) {
+    throw new CuoralValidationError(
+      'Custom attributes must be an object of key/value pairs.'
+    );
+  }
+
+  const keys = Object.keys(attributes);
+  if (keys.length > MAX_CUSTOM_ATTRIBUTES) {
+    throw new CuoralValidationError(
+      `At most ${MAX_CUSTOM_ATTRIBUTES} custom attributes can be set.`
+    );
+  }
+  keys.forEach((key) => {
+    if (!ATTRIBUTE_KEY_PATTERN.test(key)) {
+      throw new CuoralValidationError(
+        `Invalid custom attribute key "${key}": use letters, digits and underscores, starting with a letter.`
+      );
+    }
+    if (!isValidValue(attributes[key])) {
+      throw new CuoralValidationError(
+        `Invalid value for custom attribute "${key}": use a string of up to ${MAX_ATTRIBUTE_VALUE_LENGTH} characters, a number, a boolean or null.`
+      );
+    }
+  });
+  return attributes;
+};
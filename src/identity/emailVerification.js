@@ -0,0 +1,77 @@
+// src/identity/emailVerification.js
+
+// Emails confirmed with a one-time code on this device, as
+// `{ [email]: { token, verifiedAt } }`
+const EMAIL_VERIFICATIONS_STORAGE_KEY = 'cuoral_email_verifications';
+
+// How long a confirmed email stays verified before a new code is needed
+export const EMAIL_VERIFICATION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+/**
+ * Reads every email verified on this device. Returns an empty map if nothing
+ * is stored or the stored value is unreadable.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @returns {Promise<object>} Verifications keyed by email.
+ */
+export const loadEmailVerifications = async (storage) => {
+  try {
+    const stored = await storage.shared.getItem(
+      EMAIL_VERIFICATIONS_STORAGE_KEY
+    );
+    const verifications = stored ? JSON.parse(stored) : {};
+    return verifications && typeof verifications === 'object'
+      ? verifications
+      : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Looks up an email's verification, ignoring ones that have expired.
+ *
+ * @param {object} verifications - Map from `loadEmailVerifications`.
+ * @param {string} email
+ * @returns {{token: string|null, verifiedAt: number}|null}
+ */
+export const getEmailVerification = (verifications, email) => {
+  const verification = verifications[normalizeEmail(email)];
+  if (
+    !verification ||
+    Date.now() - verification.verifiedAt > EMAIL_VERIFICATION_MAX_AGE_MS
+  ) {
+    return null;
+  }
+  return verification;
+};
+
+/**
+ * Stores an email's verification, or removes it when passed null.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @param {string} email
+ * @param {{token: string|null, verifiedAt: number}|null} verification
+ * @returns {Promise<object>} The updated map of verifications.
+ */
+export const saveEmailVerification = async (storage, email, verification) => {
+  const verifications = await loadEmailVerifications(storage);
+  const key = normalizeEmail(email);
+  if (verification) {
+    verifications[key] = verification;
+  } else {
+    delete verifications[key];
+  }
+  await storage.shared.setItem(
+    EMAIL_VERIFICATIONS_STORAGE_KEY,
+    JSON.stringify(verifications)
+  );
+  return verifications;
+};
+
+/** Forgets every email verified on this device. */
+export const clearEmailVerifications = async (storage) => {
+  await storage.shared.removeItem(EMAIL_VERIFICATIONS_STORAGE_KEY);
+};
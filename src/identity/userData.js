@@ -0,0 +1,83 @@
+// src/identity/userData.js
+import { saveOutbox } from '../messaging/outbox';
+import {
+  clearCachedTranscripts,
+  removeCachedConversations,
+} from '../messaging/transcriptCache';
+import { saveLastRead } from '../messaging/unread';
+import {
+  savePushRegistration,
+  unregisterPushRegistration,
+} from '../notifications/pushToken';
+import { clearEmailVerifications, normalizeEmail } from './emailVerification';
+
+export const SESSION_STORAGE_KEY = 'cuoral_session_id';
+
+// The user a fresh session is started for after `logout()`
+export const ANONYMOUS_USER = { email: '', firstName: '', lastName: '' };
+
+/**
+ * Whether `identify()` is switching to a different user, who mustn't inherit
+ * the current user's conversation. Attaching an email to an anonymous session
+ * is not a switch.
+ *
+ * @param {string} currentEmail - Email of the user the session belongs to, if known.
+ * @param {string} nextEmail - Email passed to `identify()`.
+ * @returns {boolean}
+ */
+export const isDifferentUser = (currentEmail, nextEmail) =>
+  !!normalizeEmail(currentEmail) &&
+  normalizeEmail(currentEmail) !== normalizeEmail(nextEmail);
+
+/**
+ * Files the session stored in one namespace under another, e.g. when an
+ * anonymous user is identified and their conversation becomes theirs.
+ *
+ * @param {object} fromStorage - From `createCuoralStorage`.
+ * @param {object} toStorage - From `createCuoralStorage`.
+ * @param {object} [options]
+ * @param {boolean} [options.replace=true] - Replace a session already stored in `toStorage`.
+ */
+export const moveStoredSession = async (
+  fromStorage,
+  toStorage,
+  { replace = true } = {}
+) => {
+  const sessionId = await fromStorage.getItem(SESSION_STORAGE_KEY);
+  if (!sessionId) {
+    return;
+  }
+  if (!replace && (await toStorage.getItem(SESSION_STORAGE_KEY))) {
+    return;
+  }
+  await toStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+  await fromStorage.removeItem(SESSION_STORAGE_KEY);
+};
+
+/**
+ * Removes everything the SDK stored about the user `storage` belongs to:
+ * their session, cached transcripts and conversation list, unsent messages,
+ * read markers and push registration, plus the emails verified on this device.
+ * Push notifications are turned off on the server first; if that fails the
+ * rest is still removed.
+ *
+ * @param {object} apiClient - Client from `createCuoralApiClient`.
+ * @param {object} storage - From `createCuoralStorage`.
+ */
+export const clearStoredUserData = async (apiClient, storage) => {
+  try {
+    await unregisterPushRegistration(apiClient, storage);
+  } catch {
+    // Logging out must not depend on the network
+  }
+
+  await Promise.all([
+    storage.removeItem(SESSION_STORAGE_KEY),
+    clearCachedTranscripts(storage),
+    removeCachedConversations(storage),
+    saveOutbox(storage, []),
+    saveLastRead(storage, {}),
+    clearEmailVerifications(storage),
+    savePushRegistration(storage, null),
+  ]);
+};
@@ -1,7 +1,36 @@
 // index.js
 // This file serves as the main entry point for your native Cuoral React Native SDK.
-// It exports the primary component, CuoralLauncher, which integrates the chat functionality.
+// It exports the primary component, CuoralLauncher, which integrates the chat functionality,
+// and the headless CuoralProvider/useCuoral pair for building a custom chat UI.
 
 import CuoralLauncher from './CuoralLauncher.js';
+import Cuoral from './Cuoral';
+import cuoralEvents from './events';
 
-export { CuoralLauncher };
+export { CuoralLauncher, Cuoral, cuoralEvents };
+export { CUORAL_EVENTS } from './events';
+export { CuoralProvider, useCuoral } from './context/CuoralContext';
+export {
+  CuoralError,
+  CuoralNetworkError,
+  CuoralAuthError,
+  CuoralValidationError,
+  CuoralServerError,
+  CuoralCancelledError,
+} from './api/errors';
+export {
+  handleCuoralNotificationResponse,
+  getCuoralSessionId,
+} from './notifications/notificationResponse';
+export { createCuoralNotificationHandler } from './notifications/notificationConfig';
+export { validateCustomAttributes } from './identity/customAttributes';
+export {
+  DEVICE_CONTEXT_FIELDS,
+  collectDeviceContext,
+} from './device/deviceContext';
+export {
+  asyncStorageAdapter,
+  createSecureStoreAdapter,
+  createMMKVAdapter,
+  createMemoryAdapter,
+} from './storage/adapters';
@@ -0,0 +1,64 @@
+// src/messaging/delivery.js
+import { CuoralNetworkError } from '../api/errors';
+
+// How long to wait for the server to acknowledge a socket message before treating it as failed.
+export const ACK_TIMEOUT_MS = 10000;
+
+/**
+ * Emits a socket event and resolves with the server's acknowledgement.
+ * Rejects with a `CuoralNetworkError` (`isTimeout: true`) if no ack arrives in time.
+ *
+ * @param {object} socket - Socket.IO client instance.
+ * @param {string} event - Event name.
+ * @param {object} payload - Event payload.
+ * @returns {Promise<*>} The ack payload.
+ */
+export const emitWithAck = (socket, event, payload) =>
+  new Promise((resolve, reject) => {
+    socket.timeout(ACK_TIMEOUT_MS).emit(event, payload, (error, response) => {
+      if (error) {
+        const message = 'The server did not confirm the message in time.';
+        reject(new CuoralNetworkError(message, { isTimeout: true }));
+        return;
+      }
+      resolve(response);
+    });
+  });
+
+/**
+ * Extracts the server-assigned message id from a socket ack or upload response.
+ * Returns null when the server didn't send one.
+ */
+export const getServerMessageId = (response) => {
+  if (!response || typeof response !== 'object') {
+    return null;
+  }
+  const messageData = response.messageData || response.data || {};
+  return (
+    response.id ||
+    response._id ||
+    response.message_id ||
+    messageData.id ||
+    messageData._id ||
+    messageData.time_created ||
+    null
+  );
+};
+
+/**
+ * Extracts the hosted file URL from an upload response, so the local base64
+ * preview can be swapped for it. Returns null when the server didn't send one.
+ */
+export const getUploadedFileUrl = (response) => {
+  if (!response || typeof response !== 'object') {
+    return null;
+  }
+  const messageData = response.messageData || response.data || {};
+  return (
+    response.file_url ||
+    response.url ||
+    messageData.file_url ||
+    messageData.file ||
+    null
+  );
+};
@@ -0,0 +1,164 @@
+// src/messaging/messages.js
+
+// Messages shown when a conversation opens, and loaded per page when scrolling back
+export const MESSAGE_PAGE_SIZE = 30;
+
+/** Sort comparator ordering transcript messages oldest first. */
+export const compareByTimestamp = (a, b) =>
+  new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime();
+
+/**
+ * Maps a message from the Cuoral API (get-single-session or a socket event)
+ * to the shape used in the transcript. `id` is the server's id (falling back
+ * to `time_created`) and `clientId` is the correlation id we sent it with,
+ * if the server echoed one back.
+ *
+ * @param {object} msg - Raw message data.
+ * @returns {object} Transcript message.
+ */
+export const normalizeServerMessage = (msg) => ({
+  id:
+    msg.id ||
+    msg._id ||
+    msg.message_id ||
+    msg.time_created ||
+    `msg_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+  clientId: msg.client_message_id || null,
+  text: msg.message || '',
+  sender:
+    msg.message_type?.toUpperCase() === 'REPLY'
+      ? msg.author_type === 'HUMAN'
+        ? 'admin'
+        : 'bot'
+      : 'user',
+  timestamp: new Date(msg.time_created || Date.now()),
+  fileUrl: msg.file_url || msg.file || null,
+  fileName: msg.filename || null,
+});
+
+/**
+ * Latest `time_created` among raw API messages, or null if there are none.
+ *
+ * @param {object[]} rawMessages - Raw message data.
+ * @returns {Date|null}
+ */
+export const getLatestTimeCreated = (rawMessages) =>
+  rawMessages.reduce((latest, msg) => {
+    const created = msg.time_created ? new Date(msg.time_created) : null;
+    return created && (!latest || created > latest) ? created : latest;
+  }, null);
+
+/**
+ * Ids a message is known by: its server id and, for messages sent from this
+ * device, the client correlation id.
+ *
+ * @param {object} msg - Transcript message.
+ * @returns {string[]}
+ */
+export const getMessageKeys = (msg) =>
+  [msg.id, msg.clientId].filter(Boolean).map(String);
+
+/**
+ * Whether any of the message's ids is already in the seen-id index.
+ *
+ * @param {Set<string>} seenIds - Seen-id index.
+ * @param {object} msg - Transcript message.
+ * @returns {boolean}
+ */
+export const hasSeenMessage = (seenIds, msg) =>
+  getMessageKeys(msg).some((key) => seenIds.has(key));
+
+/**
+ * Adds the message's ids to the seen-id index.
+ *
+ * @param {Set<string>} seenIds - Seen-id index.
+ * @param {object} msg - Transcript message.
+ */
+export const markMessageSeen = (seenIds, msg) => {
+  getMessageKeys(msg).forEach((key) => seenIds.add(key));
+};
+
+/**
+ * Builds a seen-id index from a transcript.
+ *
+ * @param {object[]} messages - Transcript messages.
+ * @returns {Set<string>}
+ */
+export const createSeenIndex = (messages) => {
+  const seenIds = new Set();
+  messages.forEach((msg) => markMessageSeen(seenIds, msg));
+  return seenIds;
+};
+
+/**
+ * Drops messages sharing an id with an earlier one, keeping the first.
+ *
+ * @param {object[]} messages - Transcript messages.
+ * @returns {object[]}
+ */
+export const dedupeMessages = (messages) => {
+  const seenIds = new Set();
+  return messages.filter((msg) => {
+    if (hasSeenMessage(seenIds, msg)) {
+      return false;
+    }
+    markMessageSeen(seenIds, msg);
+    return true;
+  });
+};
+
+// Servers that don't echo client_message_id give us no id to correlate a
+// fetched user message with the local copy we sent, so fall back to content.
+const isLocalCopy = (local, incoming) =>
+  local.sender === 'user' &&
+  local.text === incoming.text &&
+  (local.fileName || null) === (incoming.fileName || null);
+
+/**
+ * Merges fetched messages into the transcript, skipping any already present,
+ * and keeps the result ordered by timestamp.
+ *
+ * @param {object[]} existing - Current transcript.
+ * @param {object[]} incoming - Normalized messages fetched from the API.
+ * @returns {object[]} The merged transcript, or `existing` if nothing was new.
+ */
+export const mergeMessages = (existing, incoming) => {
+  const knownIds = createSeenIndex(existing);
+  // Each local user message can only account for one fetched copy
+  const unmatchedLocal = existing.filter(
+    (msg) => msg.sender === 'user' && msg.status
+  );
+
+  const additions = incoming.filter((msg) => {
+    if (hasSeenMessage(knownIds, msg)) {
+      return false;
+    }
+    if (msg.sender === 'user' && !msg.clientId) {
+      const localIndex = unmatchedLocal.findIndex((local) =>
+        isLocalCopy(local, msg)
+      );
+      if (localIndex !== -1) {
+        unmatchedLocal.splice(localIndex, 1);
+        return false;
+      }
+    }
+    markMessageSeen(knownIds, msg);
+    return true;
+  });
+
+  if (additions.length === 0) {
+    return existing;
+  }
+  return [...existing, ...additions].sort(compareByTimestamp);
+};
+
+/**
+ * Cursor for the page of messages older than a get-single-session response,
+ * or null if there is none. Servers that ignore `limit` return the whole
+ * history and no cursor.
+ *
+ * @param {object} data - get-single-session response.
+ * @returns {string|null}
+ */
+export const getHistoryCursor = (data) =>
+  data.has_more === false ? null : data.next_cursor || null;
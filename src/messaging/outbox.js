@@ -0,0 +1,142 @@
+// src/messaging/outbox.js
+const OUTBOX_STORAGE_KEY = 'cuoral_outbox';
+
+// Attachments are stored under their own key per message, so one large photo
+// can't make the whole outbox unreadable
+const OUTBOX_FILE_KEY_PREFIX = 'cuoral_outbox_file_';
+
+// Longest attachment (base64 data URI) persisted across restarts. Android's
+// AsyncStorage can't read back values over 2 MB; larger attachments are only
+// kept in memory until sent.
+export const MAX_PERSISTED_FILE_LENGTH = 1.5 * 1024 * 1024;
+
+const getFileKey = (entry) => `${OUTBOX_FILE_KEY_PREFIX}${entry.id}`;
+
+const readStoredEntries = async (storage) => {
+  try {
+    const stored = await storage.getItem(OUTBOX_STORAGE_KEY);
+    const entries = stored ? JSON.parse(stored) : [];
+    return Array.isArray(entries) ? entries : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Creates an outbox entry for a message that couldn't be sent yet. Entries
+ * flagged `failed` were attempted and rejected; they wait for a manual retry.
+ *
+ * @param {object} message
+ * @param {string} [message.id] - Id of the optimistic message shown in the transcript, if any.
+ * @param {string} message.sessionId - Session the message belongs to.
+ * @param {string} message.text - Message text.
+ * @param {string} [message.fileData] - Base64 data URI of an attachment.
+ * @param {string} [message.fileName] - Attachment file name.
+ * @param {string} [message.messageType='QUERY'] - Cuoral message type.
+ */
+export const createOutboxEntry = ({
+  id = null,
+  sessionId,
+  text,
+  fileData = null,
+  fileName = null,
+  messageType = 'QUERY',
+}) => ({
+  id,
+  sessionId,
+  text,
+  fileData,
+  fileName,
+  messageType,
+  createdAt: new Date().toISOString(),
+});
+
+/**
+ * Reads the persisted outbox with its attachments. Returns an empty outbox if
+ * nothing is stored or the stored value is unreadable. Entries whose
+ * attachment was too large to persist, or can't be read, are left out, as
+ * are failed entries without an id.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @returns {Promise<object[]>} Entries, oldest first.
+ */
+export const loadOutbox = async (storage) => {
+  const entries = await readStoredEntries(storage);
+  const loaded = await Promise.all(
+    entries.map(async ({ hasStoredFile, ...entry }) => {
+      // Earlier versions stored attachments inline
+      if (!entry.fileName || entry.fileData) {
+        return entry;
+      }
+      try {
+        const fileData = hasStoredFile
+          ? await storage.getItem(getFileKey(entry))
+          : null;
+        return fileData ? { ...entry, fileData } : null;
+      } catch {
+        return null;
+      }
+    })
+  );
+  // Failed entries without a message on screen could never be retried
+  return loaded.filter((entry) => entry && !(entry.failed && !entry.id));
+};
+
+/**
+ * Persists the outbox, removing the key altogether once it is empty.
+ * Attachments are written under their own keys, and removed again once their
+ * entry leaves the outbox.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @param {object[]} entries - Entries, oldest first.
+ */
+export const saveOutbox = async (storage, entries) => {
+  const storedEntries = await readStoredEntries(storage);
+  const storedFileKeys = storedEntries
+    .filter((entry) => entry.hasStoredFile)
+    .map(getFileKey);
+
+  const serialized = await Promise.all(
+    entries.map(async ({ fileData, ...entry }) => {
+      const canStoreFile =
+        !!fileData &&
+        !!entry.id &&
+        fileData.length <= MAX_PERSISTED_FILE_LENGTH;
+      if (canStoreFile && !storedFileKeys.includes(getFileKey(entry))) {
+        await storage.setItem(getFileKey(entry), fileData);
+      }
+      return canStoreFile ? { ...entry, hasStoredFile: true } : entry;
+    })
+  );
+
+  if (serialized.length === 0) {
+    await storage.removeItem(OUTBOX_STORAGE_KEY);
+  } else {
+    await storage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(serialized));
+  }
+
+  // Only once no stored entry refers to them any more
+  const keptFileKeys = serialized
+    .filter((entry) => entry.hasStoredFile)
+    .map(getFileKey);
+  await Promise.all(
+    storedFileKeys
+      .filter((key) => !keptFileKeys.includes(key))
+      .map((key) => storage.removeItem(key))
+  );
+};
+
+/**
+ * Turns an outbox entry back into a transcript message, e.g. after an app
+ * restart, so the user still sees it as queued (or failed, with a retry option).
+ */
+export const outboxEntryToMessage = (entry) => ({
+  id: entry.id,
+  clientId: entry.id,
+  text: entry.text || '',
+  sender: 'user',
+  timestamp: new Date(entry.createdAt),
+  fileUrl: entry.fileData || null,
+  fileName: entry.fileName || null,
+  status: entry.failed ? 'failed' : 'queued',
+});
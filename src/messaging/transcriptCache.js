@@ -0,0 +1,164 @@
+// src/messaging/transcriptCache.js
+const TRANSCRIPT_KEY_PREFIX = 'cuoral_transcript_';
+// Session ids of cached transcripts with when each was saved, used for eviction
+const TRANSCRIPT_INDEX_KEY = 'cuoral_transcript_index';
+const CONVERSATIONS_KEY = 'cuoral_conversations';
+
+// Eviction policy: the most recently saved transcripts are kept, each holding
+// only its latest messages, and anything older than the max age is dropped.
+export const MAX_CACHED_TRANSCRIPTS = 20;
+export const MAX_CACHED_MESSAGES = 100;
+export const CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const isExpired = (savedAt) => Date.now() - savedAt > CACHE_MAX_AGE_MS;
+
+const readJson = async (storage, key) => {
+  try {
+    const stored = await storage.getItem(key);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+};
+
+const loadIndex = async (storage) => {
+  const index = await readJson(storage, TRANSCRIPT_INDEX_KEY);
+  return Array.isArray(index) ? index : [];
+};
+
+// Messages still waiting to be sent live in the outbox, and base64 previews of
+// local attachments are too large to cache.
+const toCachedMessage = (msg) => ({
+  ...msg,
+  fileUrl: msg.fileUrl && msg.fileUrl.startsWith('data:') ? null : msg.fileUrl,
+});
+
+const fromCachedMessage = (msg) => ({
+  ...msg,
+  timestamp: new Date(msg.timestamp),
+});
+
+/**
+ * Reads a session's cached transcript. Returns null if nothing is cached or
+ * the cached copy has expired.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @param {string} sessionId - The session to read.
+ * @returns {Promise<{session: object, messages: object[], savedAt: number}|null>}
+ */
+export const loadCachedTranscript = async (storage, sessionId) => {
+  if (!sessionId) {
+    return null;
+  }
+  const cached = await readJson(storage, TRANSCRIPT_KEY_PREFIX + sessionId);
+  if (!cached || !Array.isArray(cached.messages)) {
+    return null;
+  }
+  if (isExpired(cached.savedAt)) {
+    await removeCachedTranscript(storage, sessionId);
+    return null;
+  }
+  return { ...cached, messages: cached.messages.map(fromCachedMessage) };
+};
+
+/**
+ * Caches a session's transcript and evicts expired transcripts and the least
+ * recently saved ones beyond `MAX_CACHED_TRANSCRIPTS`.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @param {string} sessionId - The session the transcript belongs to.
+ * @param {object} transcript
+ * @param {object} transcript.session - Session details (email, name, configuration).
+ * @param {object[]} transcript.messages - Transcript messages, oldest first.
+ */
+export const saveCachedTranscript = async (
+  storage,
+  sessionId,
+  { session, messages }
+) => {
+  const savedAt = Date.now();
+  const cachedMessages = messages
+    .filter((msg) => !msg.status || msg.status === 'sent')
+    .slice(-MAX_CACHED_MESSAGES)
+    .map(toCachedMessage);
+
+  const index = (await loadIndex(storage)).filter(
+    (item) => item.sessionId !== sessionId
+  );
+  index.unshift({ sessionId, savedAt });
+  const kept = index.filter(
+    (item, position) =>
+      position < MAX_CACHED_TRANSCRIPTS && !isExpired(item.savedAt)
+  );
+  const evicted = index.filter((item) => !kept.includes(item));
+
+  await storage.setItem(
+    TRANSCRIPT_KEY_PREFIX + sessionId,
+    JSON.stringify({ session, messages: cachedMessages, savedAt })
+  );
+  await storage.setItem(TRANSCRIPT_INDEX_KEY, JSON.stringify(kept));
+  if (evicted.length > 0) {
+    await storage.multiRemove(
+      evicted.map((item) => TRANSCRIPT_KEY_PREFIX + item.sessionId)
+    );
+  }
+};
+
+/**
+ * Removes a session's cached transcript.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @param {string} sessionId - The session to remove.
+ */
+export const removeCachedTranscript = async (storage, sessionId) => {
+  const index = await loadIndex(storage);
+  await storage.removeItem(TRANSCRIPT_KEY_PREFIX + sessionId);
+  await storage.setItem(
+    TRANSCRIPT_INDEX_KEY,
+    JSON.stringify(index.filter((item) => item.sessionId !== sessionId))
+  );
+};
+
+/** Removes every cached transcript. */
+export const clearCachedTranscripts = async (storage) => {
+  const index = await loadIndex(storage);
+  await storage.multiRemove([
+    ...index.map((item) => TRANSCRIPT_KEY_PREFIX + item.sessionId),
+    TRANSCRIPT_INDEX_KEY,
+  ]);
+};
+
+/**
+ * Reads the cached conversation list for a user. Returns null if nothing is
+ * cached for that email or the cached copy has expired.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @param {string} email - The user's email.
+ * @returns {Promise<object[]|null>}
+ */
+export const loadCachedConversations = async (storage, email) => {
+  const cached = await readJson(storage, CONVERSATIONS_KEY);
+  if (!cached || cached.email !== email || isExpired(cached.savedAt)) {
+    return null;
+  }
+  return cached.sessions;
+};
+
+/**
+ * Caches a user's conversation list, replacing any other user's.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @param {string} email - The user's email.
+ * @param {object[]} sessions - The list returned by get-user-sessions.
+ */
+export const saveCachedConversations = async (storage, email, sessions) => {
+  await storage.setItem(
+    CONVERSATIONS_KEY,
+    JSON.stringify({ email, sessions, savedAt: Date.now() })
+  );
+};
+
+/** Removes the cached conversation list. */
+export const removeCachedConversations = async (storage) => {
+  await storage.removeItem(CONVERSATIONS_KEY);
+};
@@ -0,0 +1,69 @@
+// src/messaging/unread.js
+import { MESSAGE_PAGE_SIZE, normalizeServerMessage } from './messages';
+
+// When the user last viewed each session's chat, as `{ [sessionId]: ISO date }`
+const LAST_READ_STORAGE_KEY = 'cuoral_last_read';
+
+/**
+ * Reads when the user last viewed each session. Returns an empty map if
+ * nothing is stored or the stored value is unreadable.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @returns {Promise<object>} ISO dates keyed by session id.
+ */
+export const loadLastRead = async (storage) => {
+  try {
+    const stored = await storage.getItem(LAST_READ_STORAGE_KEY);
+    const lastRead = stored ? JSON.parse(stored) : {};
+    return lastRead && typeof lastRead === 'object' ? lastRead : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Persists when the user last viewed each session.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @param {object} lastRead - ISO dates keyed by session id.
+ */
+export const saveLastRead = async (storage, lastRead) => {
+  await storage.setItem(LAST_READ_STORAGE_KEY, JSON.stringify(lastRead));
+};
+
+/**
+ * Counts bot and agent replies received after the user last viewed the chat.
+ *
+ * @param {object[]} messages - Transcript messages.
+ * @param {string} [lastReadAt] - ISO date the chat was last viewed; every reply counts if unset.
+ * @returns {number}
+ */
+export const countUnread = (messages, lastReadAt) => {
+  const since = lastReadAt ? new Date(lastReadAt).getTime() : 0;
+  return messages.filter(
+    (msg) => msg.sender !== 'user' && new Date(msg.timestamp).getTime() > since
+  ).length;
+};
+
+/**
+ * Fetches a session's latest messages and counts the unread replies, for
+ * checking while the chat (and its socket) isn't running.
+ *
+ * @param {object} apiClient - Client from `createCuoralApiClient`.
+ * @param {object} storage - From `createCuoralStorage`.
+ * @param {string} sessionId - The session to check.
+ * @returns {Promise<number>}
+ */
+export const fetchUnreadCount = async (apiClient, storage, sessionId) => {
+  const [data, lastRead] = await Promise.all([
+    apiClient.getSession(sessionId, { limit: MESSAGE_PAGE_SIZE }),
+    loadLastRead(storage),
+  ]);
+  if (!data || data.status === 'closed' || !Array.isArray(data.messages)) {
+    return 0;
+  }
+  return countUnread(
+    data.messages.map(normalizeServerMessage),
+    lastRead[sessionId]
+  );
+};
@@ -0,0 +1,76 @@
+// src/notifications/notificationConfig.js
+import { getCuoralSessionId } from './notificationResponse';
+
+/**
+ * Default title and body for a notification about an incoming reply.
+ *
+ * @param {object} message - The transcript message that arrived.
+ * @returns {{title: string, body: string}}
+ */
+export const defaultFormatNotification = (message) =>
+  message.fileUrl
+    ? { title: 'New File from Cuoral', body: message.text || 'Image received.' }
+    : { title: 'You have a new message', body: message.text };
+
+/**
+ * Fills in defaults for the `notifications` prop.
+ *
+ * @param {object} [config]
+ * @param {boolean} [config.enabled=true] - Show a notification when a reply arrives.
+ * @param {boolean} [config.suppressWhileChatVisible=true] - Skip it while the chat is on screen.
+ * @param {Function} [config.formatNotification] - Receives the message, returns `{ title, body }`.
+ * @param {string} [config.androidChannelId] - Android notification channel to post to.
+ * @returns {object} The complete config.
+ */
+export const resolveNotificationConfig = ({
+  enabled = true,
+  suppressWhileChatVisible = true,
+  formatNotification = defaultFormatNotification,
+  androidChannelId = null,
+} = {}) => ({
+  enabled,
+  suppressWhileChatVisible,
+  formatNotification,
+  androidChannelId,
+});
+
+const SHOW_NOTIFICATION = {
+  shouldShowAlert: true,
+  shouldShowBanner: true,
+  shouldShowList: true,
+  shouldPlaySound: true,
+  shouldSetBadge: false,
+};
+
+const HIDE_NOTIFICATION = {
+  shouldShowAlert: false,
+  shouldShowBanner: false,
+  shouldShowList: false,
+  shouldPlaySound: false,
+  shouldSetBadge: false,
+};
+
+/**
+ * Builds a handler for `Notifications.setNotificationHandler` that shows
+ * Cuoral notifications while the app is in the foreground and hands every
+ * other notification to your own handler.
+ *
+ * @param {object} [hostHandler] - Your existing notification handler, if any.
+ *   Without one, other notifications are not shown in the foreground.
+ * @returns {object} A notification handler.
+ */
+export const createCuoralNotificationHandler = (hostHandler) => ({
+  handleNotification: async (notification) => {
+    if (getCuoralSessionId(notification)) {
+      return SHOW_NOTIFICATION;
+    }
+    if (hostHandler && hostHandler.handleNotification) {
+      return hostHandler.handleNotification(notification);
+    }
+    return HIDE_NOTIFICATION;
+  },
+  handleSuccess: (notificationId) =>
+    hostHandler?.handleSuccess?.(notificationId),
+  handleError: (notificationId, error) =>
+    hostHandler?.handleError?.(notificationId, error),
+});
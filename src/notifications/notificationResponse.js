@@ -0,0 +1,51 @@
+// src/notifications/notificationResponse.js
+import Cuoral from '../Cuoral';
+
+// Identifier of the last notification tap acted on, so the cold-start response
+// (which Expo keeps returning) doesn't reopen the chat on every mount.
+let lastHandledNotificationId = null;
+
+/**
+ * Builds the data payload attached to Cuoral notifications.
+ *
+ * @param {string} sessionId - The conversation the notification is about.
+ * @returns {object} Notification `data`.
+ */
+export const createNotificationData = (sessionId) => ({
+  cuoral: { sessionId },
+});
+
+/**
+ * Reads the Cuoral session id from a notification, or null if it isn't a
+ * Cuoral notification.
+ *
+ * @param {object} notification - An expo-notifications `Notification`.
+ * @returns {string|null}
+ */
+export const getCuoralSessionId = (notification) =>
+  notification?.request?.content?.data?.cuoral?.sessionId || null;
+
+/**
+ * Opens the chat on the conversation a tapped notification belongs to. Call it
+ * from your own `addNotificationResponseReceivedListener` if you turned off the
+ * launcher's built-in handling; other apps' notifications are ignored.
+ *
+ * @param {object} response - An expo-notifications `NotificationResponse`.
+ * @returns {boolean} Whether the response was a Cuoral notification and was handled.
+ */
+export const handleCuoralNotificationResponse = (response) => {
+  const notification = response?.notification;
+  const sessionId = getCuoralSessionId(notification);
+  if (!sessionId) {
+    return false;
+  }
+
+  const notificationId = notification.request.identifier;
+  if (notificationId && notificationId === lastHandledNotificationId) {
+    return true;
+  }
+  lastHandledNotificationId = notificationId;
+
+  Cuoral.openConversation(sessionId);
+  return true;
+};
@@ -0,0 +1,92 @@
+// src/notifications/notificationSound.js
+import { Audio, InterruptionModeAndroid, InterruptionModeIOS } from 'expo-av';
+
+export const DEFAULT_NOTIFICATION_SOUND = require('../assets/sounds/notification.wav');
+
+// Whether the user muted the chat's sound from the header toggle
+const SOUND_MUTED_STORAGE_KEY = 'cuoral_sound_muted';
+
+// Quiet while an iPhone's ringer switch is set to silent, and mixed in briefly
+// over whatever else is playing rather than stopping it
+const NOTIFICATION_AUDIO_MODE = {
+  playsInSilentModeIOS: false,
+  interruptionModeIOS: InterruptionModeIOS.MixWithOthers,
+  shouldDuckAndroid: true,
+  interruptionModeAndroid: InterruptionModeAndroid.DuckOthers,
+  staysActiveInBackground: false,
+};
+
+// Accepts a `require()`d asset, a URI string or an expo-av `{ uri }` source.
+const toAudioSource = (source) =>
+  typeof source === 'string' ? { uri: source } : source;
+
+/**
+ * Creates a player for the sound played when a reply arrives. The sound is
+ * loaded on first play and, if loading fails, loaded again on the next one.
+ *
+ * Loading sets the app's audio mode so the sound respects the iPhone's ringer
+ * switch, even if the app had set `playsInSilentModeIOS: true`. Android has no
+ * silent-mode setting in expo-av; there the sound ducks other audio instead.
+ *
+ * @param {number|string|object} source - Local asset, URI or `{ uri }`.
+ * @returns {{play: Function, unload: Function}}
+ */
+export const createNotificationSoundPlayer = (source) => {
+  let soundPromise = null;
+
+  const load = () => {
+    if (!soundPromise) {
+      soundPromise = Audio.setAudioModeAsync(NOTIFICATION_AUDIO_MODE)
+        .then(() => Audio.Sound.createAsync(toAudioSource(source)))
+        .then(({ sound }) => sound)
+        .catch((error) => {
+          soundPromise = null;
+          throw error;
+        });
+    }
+    return soundPromise;
+  };
+
+  return {
+    play: async () => {
+      const sound = await load();
+      await sound.replayAsync();
+    },
+    unload: async () => {
+      if (!soundPromise) {
+        return;
+      }
+      const loading = soundPromise;
+      soundPromise = null;
+      const sound = await loading;
+      await sound.unloadAsync();
+    },
+  };
+};
+
+/**
+ * Reads whether the user muted the chat's sound.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @returns {Promise<boolean>}
+ */
+export const loadSoundMuted = async (storage) => {
+  try {
+    return (await storage.shared.getItem(SOUND_MUTED_STORAGE_KEY)) === 'true';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Persists whether the user muted the chat's sound.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @param {boolean} muted
+ */
+export const saveSoundMuted = async (storage, muted) => {
+  await storage.shared.setItem(
+    SOUND_MUTED_STORAGE_KEY,
+    muted ? 'true' : 'false'
+  );
+};
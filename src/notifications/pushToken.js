@@ -0,0 +1,81 @@
+// src/notifications/pushToken.js
+import * as Notifications from 'expo-notifications';
+
+// The token last registered with Cuoral and the session it was registered for
+const PUSH_REGISTRATION_STORAGE_KEY = 'cuoral_push_registration';
+
+/**
+ * Gets the device's Expo push token, asking for notification permission first
+ * if `requestPermission` is set and it hasn't been granted yet.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.requestPermission=false] - Show the system permission prompt if needed.
+ * @returns {Promise<{status: string, token: string|null}>} The permission status
+ *   ('granted', 'denied' or 'undetermined') and the token, if permission was granted.
+ */
+export const getPushToken = async ({ requestPermission = false } = {}) => {
+  let { status } = await Notifications.getPermissionsAsync();
+  if (status !== 'granted' && requestPermission) {
+    ({ status } = await Notifications.requestPermissionsAsync());
+  }
+  if (status !== 'granted') {
+    return { status, token: null };
+  }
+
+  const { data: token } = await Notifications.getExpoPushTokenAsync();
+  return { status, token };
+};
+
+/**
+ * Reads the stored push registration, or null if none is stored.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @returns {Promise<{token: string, sessionId: string}|null>}
+ */
+export const loadPushRegistration = async (storage) => {
+  try {
+    const stored = await storage.getItem(PUSH_REGISTRATION_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Stops push notifications for the registered session and forgets the
+ * registration. If the server can't be reached the registration is kept, so
+ * calling this again retries.
+ *
+ * @param {object} apiClient - Client from `createCuoralApiClient`.
+ * @param {object} storage - From `createCuoralStorage`.
+ */
+export const unregisterPushRegistration = async (apiClient, storage) => {
+  const registration = await loadPushRegistration(storage);
+  if (!registration) {
+    return;
+  }
+
+  await apiClient.unregisterPushToken({
+    public_key: storage.publicKey,
+    session_id: registration.sessionId,
+    push_token: registration.token,
+  });
+  await savePushRegistration(storage, null);
+};
+
+/**
+ * Stores the push registration, or removes it when passed null.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @param {{token: string, sessionId: string}|null} registration
+ */
+export const savePushRegistration = async (storage, registration) => {
+  if (!registration) {
+    await storage.removeItem(PUSH_REGISTRATION_STORAGE_KEY);
+    return;
+  }
+  await storage.setItem(
+    PUSH_REGISTRATION_STORAGE_KEY,
+    JSON.stringify(registration)
+  );
+};
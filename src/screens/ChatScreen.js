@@ -11,11 +11,14 @@ import {
     Platform,
     ActivityIndicator,
     Alert,
+    AppState,
     Image, // Import Image for displaying attached photos
 } from 'react-native';
 // Import expo-image-picker functions
 import * as ImagePicker from 'expo-image-picker';
 import { useCuoral } from '../context/CuoralContext';
+import { CuoralCancelledError } from '../api/errors';
+import ConnectionBanner from '../components/ConnectionBanner';
 
 
 /**
@@ -27,28 +30,56 @@ import { useCuoral } from '../context/CuoralContext';
 const ChatScreen = ({ navigateTo }) => { // Added navigateTo prop
     const {
         messages,
-        addMessage,
-        sendMessageViaSocket,
+        hasOlderMessages,
+        isLoadingOlderMessages,
+        loadOlderMessages,
+        markAsRead,
+        sendMessage,
+        sendFile,
+        retryMessage,
+        deleteMessage,
+        escalateToAgent,
         isLoadingSession,
         sessionError,
         chatThemeColor,
         sessionId,
         publicKey,
         email,
-        firstName,
-        lastName,
         sessionStatus, // New: Get sessionStatus from context
+        connectionState,
+        draftMessage,
+        setDraftMessage,
         clearSessionAndInitiateNew, // New: Get clearSessionAndInitiateNew from context
         getSession,
         getSessionReload,
     } = useCuoral();
 
-    const [inputText, setInputText] = useState('');
-    const [isSending, setIsSending] = useState(false);
+    const [inputText, setInputText] = useState(draftMessage || ''); // Pre-filled from the imperative API, if set
     const [escalatingMessageId, setEscalatingMessageId] = useState(null);
     const flatListRef = useRef(null);
+    const isNearBottomRef = useRef(true); // Only follow new content while the user is at the bottom
 
 
+    // Consume the pre-filled draft so it isn't applied again next time
+    useEffect(() => {
+        if (draftMessage) {
+            setDraftMessage('');
+        }
+    }, [draftMessage, setDraftMessage]);
+
+    // Everything on screen counts as read, as long as the app is in the foreground
+    useEffect(() => {
+        if (AppState.currentState === 'active') {
+            markAsRead();
+        }
+        const subscription = AppState.addEventListener('change', (nextAppState) => {
+            if (nextAppState === 'active') {
+                markAsRead();
+            }
+        });
+        return () => subscription.remove();
+    }, [markAsRead]);
+
      // Effect to fetch user sessions when the component mounts
         useEffect(() => {
             // Ensure email is available before trying to fetch sessions
@@ -60,10 +91,11 @@ const ChatScreen = ({ navigateTo }) => { // Added navigateTo prop
 
 
 
-    // Scroll to bottom when messages change, with a slight delay
+    // Scroll to bottom when a new message arrives (not when older ones are prepended), with a slight delay
+    const lastMessageId = messages.length > 0 ? messages[messages.length - 1].id : null;
     useEffect(() => {
         // Only attempt to scroll if there are messages and the ref potentially exists
-        if (messages.length > 0) {
+        if (lastMessageId !== null) {
             // A small setTimeout ensures the scroll happens after the FlatList has rendered the new content
             // and calculated its new dimensions.
             setTimeout(() => {
@@ -84,7 +116,7 @@ const ChatScreen = ({ navigateTo }) => { // Added navigateTo prop
                 }
             }, 50); // Small delay, e.g., 50ms, can be adjusted
         }
-    }, [messages]);
+    }, [lastMessageId, sessionStatus]);
 
     // Determine the ID of the last message from a bot
     const lastBotMessage = messages
@@ -93,33 +125,35 @@ const ChatScreen = ({ navigateTo }) => { // Added navigateTo prop
         .find(msg => msg.sender === 'bot');
     const lastBotMessageId = lastBotMessage ? lastBotMessage.id : null;
 
+    // Loads older messages when the user scrolls to the top of the list
+    const handleScroll = (event) => {
+        const { contentOffset, contentSize, layoutMeasurement } = event.nativeEvent;
+        isNearBottomRef.current = contentOffset.y + layoutMeasurement.height >= contentSize.height - 80;
+        if (contentOffset.y <= 40 && hasOlderMessages && !isLoadingOlderMessages) {
+            loadOlderMessages();
+        }
+    };
+
+    // True while any message is waiting for the server to confirm it
+    const isSending = messages.some(msg => msg.status === 'pending');
+
 
     const handleSendMessage = async () => {
-        if (inputText.trim() === '' && !isSending) { // Prevent sending empty message without a file
+        if (inputText.trim() === '') { // Prevent sending empty message without a file
             return;
         }
 
-        const userMessageText = inputText.trim();
-        // Optimistic UI update: Add the message to the display immediately
-        const newMessage = {
-            id: `temp_msg_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`, // Temporary ID
-            text: userMessageText,
-            sender: 'user',
-            timestamp: new Date(),
-            // fileUrl and fileName will be added by handleAttachButtonPress if a file is selected
-            fileUrl: undefined, // Placeholder, will be set when image is picked
-            fileName: undefined, // Placeholder, will be set when image is picked
-        };
-        addMessage(newMessage); // Add placeholder message
+        // Optimistic UI update: sendMessage adds the message to the display immediately
+        sendMessage(inputText);
         setInputText('');
-        setIsSending(true);
-
-        // sendMessageViaSocket will now handle both text and file based on parameters
-        sendMessageViaSocket(userMessageText);
+    };
 
-        setTimeout(() => {
-            setIsSending(false);
-        }, 1000);
+    const handleFailedMessagePress = (messageId) => {
+        Alert.alert('Message not sent', 'This message could not be delivered.', [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Delete', style: 'destructive', onPress: () => deleteMessage(messageId) },
+            { text: 'Retry', onPress: () => retryMessage(messageId) },
+        ]);
     };
 
     const handleAttachButtonPress = async () => {
@@ -147,24 +181,8 @@ const ChatScreen = ({ navigateTo }) => { // Added navigateTo prop
             const fileName = asset.fileName || `image.${fileExtension}`;
 
             if (fileData) {
-                const messageWithFile = {
-                    id: `temp_file_msg_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
-                    text: inputText.trim(),
-                    sender: 'user',
-                    timestamp: new Date(),
-                    fileUrl: fileData,
-                    fileName: fileName,
-                };
-                addMessage(messageWithFile);
+                sendFile(fileData, fileName, inputText);
                 setInputText('');
-
-                setIsSending(true);
-
-                sendMessageViaSocket(messageWithFile.text, fileData, fileName);
-
-                setTimeout(() => {
-                    setIsSending(false);
-                }, 2000);
             } else {
                 Alert.alert("Error", "Could not get file data from selected image.");
             }
@@ -183,60 +201,10 @@ const ChatScreen = ({ navigateTo }) => { // Added navigateTo prop
         setEscalatingMessageId(messageId);
 
         try {
-            const pauseBotResponse = await fetch('https://api.cuoral.com/conversation/session/stop-bot/widget', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    "x-org-id": publicKey || "undefined",
-                },
-                body: JSON.stringify({ session_id: sessionId, pause_bot: true }),
-            });
-
-            if (!pauseBotResponse.ok) {
-                const errorData = await pauseBotResponse.json();
-                throw new Error(`Failed to pause bot: ${pauseBotResponse.status}, ${errorData.message || pauseBotResponse.statusText}`);
-            }
-
-            const authorName = `${firstName || ''} ${lastName || ''}`.trim() || email || 'anonymous';
-
-            const userEscalationPayload = {
-                origin: "frontend",
-                message: "Not satisfied? Talk to an agent",
-                message_type: "QUERY",
-                file: null,
-                filename: null,
-                channel: 'external',
-                author: authorName,
-                author_type: "HUMAN",
-                conversation_id: sessionId,
-                organisation_id: publicKey,
-            };
-            addMessage({
-                id: Date.now().toString() + '_escalation_user',
-                text: userEscalationPayload.message,
-                sender: 'user',
-                timestamp: new Date(),
-            });
-            sendMessageViaSocket(userEscalationPayload.message);
-
-
-            setTimeout(() => {
-                const agentResponseMessagePayload = {
-                    origin: "frontend",
-                    message: "An internal alert has been sent, an agent will be with you shortly, please hold on.",
-                    message_type: "REPLY",
-                    file: null,
-                    filename: null,
-                    channel: 'external',
-                    author: "Cuoral System",
-                    author_type: "HUMAN",
-                    conversation_id: sessionId,
-                    organisation_id: publicKey,
-                };
-                sendMessageViaSocket(agentResponseMessagePayload.message,null, null, "REPLY");
-                setEscalatingMessageId(null);
-            }, 3000);
+            await escalateToAgent();
+            setEscalatingMessageId(null);
         } catch (error) {
+            if (error instanceof CuoralCancelledError) return;
             Alert.alert("Error", error.message || "Failed to escalate to agent. Please try again.");
             setEscalatingMessageId(null);
         }
@@ -248,13 +216,32 @@ const ChatScreen = ({ navigateTo }) => { // Added navigateTo prop
     };
 
 
+    const renderDeliveryStatus = (item) => {
+        switch (item.status) {
+            case 'pending':
+                return <Text style={styles.messageStatus}>Sending...</Text>;
+            case 'queued':
+                return <Text style={styles.messageStatus}>🕓 Queued, will send when you're back online</Text>;
+            case 'sent':
+                return <Text style={styles.messageStatus}>✓ Sent</Text>;
+            case 'failed':
+                return <Text style={[styles.messageStatus, styles.messageStatusFailed]}>⚠️ Not sent. Tap to retry or delete.</Text>;
+            default:
+                return null;
+        }
+    };
+
     const renderMessage = ({ item }) => (
         <View>
-            <View
+            <TouchableOpacity
                 style={[
                     styles.messageBubble,
                     item.sender === 'user' ? styles.userMessage : styles.botMessage,
+                    item.status === 'failed' && styles.failedMessage,
                 ]}
+                onPress={() => handleFailedMessagePress(item.id)}
+                disabled={item.status !== 'failed'} // Only failed messages are tappable
+                activeOpacity={0.7}
             >
                 {/* Render image if fileUrl exists */}
                 {item.fileUrl && (
@@ -262,7 +249,8 @@ const ChatScreen = ({ navigateTo }) => { // Added navigateTo prop
                 )}
                 {item.text.length > 0 && <Text style={styles.messageText}>{item.text}</Text>}
                 <Text style={styles.timestamp}>{item.timestamp.toLocaleTimeString()}</Text>
-            </View>
+                {renderDeliveryStatus(item)}
+            </TouchableOpacity>
             {item.sender === 'bot' && item.id === lastBotMessageId && (escalatingMessageId === null && !item.text?.includes("An internal") ) && (
                 <TouchableOpacity
                     style={[styles.escalateButton, { borderColor: chatThemeColor || '#2196F3', marginBottom: 5 }]}
@@ -322,15 +310,24 @@ const ChatScreen = ({ navigateTo }) => { // Added navigateTo prop
             behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
             keyboardVerticalOffset={Platform.OS === 'ios' ? 120 : 0}
         >
+            {sessionStatus === 'active' && <ConnectionBanner connectionState={connectionState} />}
+
             <FlatList
                 ref={flatListRef}
                 data={messages}
                 renderItem={renderMessage}
                 keyExtractor={(item) => item.id}
                 contentContainerStyle={styles.messagesContainer}
+                // Keeps the visible messages in place when older ones are prepended
+                maintainVisibleContentPosition={{ minIndexForVisible: 0 }}
+                onScroll={handleScroll}
+                scrollEventThrottle={100}
+                ListHeaderComponent={isLoadingOlderMessages ? (
+                    <ActivityIndicator style={styles.olderMessagesSpinner} size="small" color={chatThemeColor || '#2196F3'} />
+                ) : null}
                 onContentSizeChange={() => {
 
-                    if (flatListRef.current && messages.length > 0) {
+                    if (flatListRef.current && messages.length > 0 && isNearBottomRef.current) {
                         setTimeout(() => {
                             try {
                                 flatListRef.current.scrollToEnd({ animated: true });
@@ -356,20 +353,20 @@ const ChatScreen = ({ navigateTo }) => { // Added navigateTo prop
                 </TouchableOpacity>
                 <TextInput
                     style={styles.input}
-                    placeholder="Type your message here..."
+                    placeholder={sessionStatus === 'active' && connectionState !== 'connected' ? "Type a message, it will send when you reconnect..." : "Type your message here..."}
                     value={inputText}
                     onChangeText={setInputText}
                     multiline
-                    editable={!isSending && escalatingMessageId === null && sessionStatus === 'active'} // Disable if session is closed
+                    editable={escalatingMessageId === null && sessionStatus === 'active'} // Disable if session is closed
                 />
                 <TouchableOpacity
                     style={[
                         styles.sendButton,
                         { backgroundColor: chatThemeColor },
-                        (isSending || escalatingMessageId !== null || inputText.trim() === '' || sessionStatus !== 'active') && styles.sendButtonDisabled, // Disable if session is closed
+                        (escalatingMessageId !== null || inputText.trim() === '' || sessionStatus !== 'active') && styles.sendButtonDisabled, // Disable if session is closed
                     ]}
                     onPress={handleSendMessage}
-                    disabled={isSending || escalatingMessageId !== null || inputText.trim() === '' || sessionStatus !== 'active'} // Disable if session is closed
+                    disabled={escalatingMessageId !== null || inputText.trim() === '' || sessionStatus !== 'active'} // Disable if session is closed
                 >
                     <Text style={styles.sendIcon}>➤</Text>
                 </TouchableOpacity>
@@ -399,6 +396,9 @@ const styles = StyleSheet.create({
         paddingVertical: 10,
         paddingHorizontal: 15,
     },
+    olderMessagesSpinner: {
+        marginVertical: 10,
+    },
     messageBubble: {
         padding: 10,
         borderRadius: 15,
@@ -430,6 +430,19 @@ const styles = StyleSheet.create({
         alignSelf: 'flex-end',
         marginTop: 5,
     },
+    messageStatus: {
+        fontSize: 10,
+        color: '#777',
+        alignSelf: 'flex-end',
+        marginTop: 2,
+    },
+    messageStatusFailed: {
+        color: '#D32F2F',
+    },
+    failedMessage: {
+        borderWidth: 1,
+        borderColor: '#D32F2F',
+    },
     typingIndicatorContainer: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -2,8 +2,7 @@
 // src/screens/ConversationsScreen.js
 import React, { useEffect } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, ScrollView, ActivityIndicator, FlatList } from 'react-native';
-import { useCuoral, SESSION_STORAGE_KEY } from '../context/CuoralContext';
-import AsyncStorage from '@react-native-async-storage/async-storage'; // For persisting session_id
+import { useCuoral } from '../context/CuoralContext';
 
 
 /**
@@ -13,7 +12,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage'; // For per
  * and also lists all user sessions.
  */
 const ConversationsScreen = ({ navigateTo }) => {
-    const { messages, isLoadingSession, sessionError, chatThemeColor, userSessions, getUserSessions, email, setSessionId } = useCuoral();
+    const { messages, isLoadingSession, sessionError, chatThemeColor, userSessions, userSessionsError, getUserSessions, email, openSession } = useCuoral();
 
     // Effect to fetch user sessions when the component mounts
     useEffect(() => {
@@ -42,14 +41,22 @@ const ConversationsScreen = ({ navigateTo }) => {
         );
     }
 
+    // Listing was refused, e.g. without identity verification
+    if (userSessionsError) {
+        return (
+            <View style={styles.centeredContainer}>
+                <Text style={styles.statusText}>{userSessionsError.message}</Text>
+            </View>
+        );
+    }
+
     // Render conversation list if userSessions is not empty
     if (userSessions && userSessions.length > 0) {
         const renderItem = ({ item }) => (
             <TouchableOpacity
                 style={styles.conversationItem}
-                onPress={async () => {
-                    await AsyncStorage.setItem('cuoral_session_id', item.session_id);
-                    setSessionId(item.session_id)
+                onPress={() => {
+                    openSession(item.session_id);
                     navigateTo('Chat', { sessionId: item.session_id });
                 }}
             >
@@ -0,0 +1,222 @@
+// src/screens/VerifyEmailScreen.js
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { useCuoral } from '../context/CuoralContext';
+
+/**
+ * VerifyEmailScreen emails a one-time code to the user's address and asks for
+ * it back before their past conversations are listed. Shown instead of
+ * ConversationsScreen when `requireEmailVerification` is set.
+ */
+const VerifyEmailScreen = ({ navigateTo }) => {
+  const {
+    email,
+    chatThemeColor,
+    needsEmailVerification,
+    emailVerificationsLoaded,
+    sendEmailVerificationCode,
+    verifyEmailCode,
+  } = useCuoral();
+
+  const [code, setCode] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [codeSent, setCodeSent] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const hasRequestedRef = useRef(false);
+
+  const sendCode = async () => {
+    setErrorMessage('');
+    setIsSending(true);
+    const success = await sendEmailVerificationCode(email);
+    setIsSending(false);
+    if (success) {
+      setCodeSent(true);
+    } else {
+      setErrorMessage("We couldn't send a code. Please try again.");
+    }
+  };
+
+  // Read by the effect below, which only runs again when loading finishes
+  const firstRequestRef = useRef(null);
+  firstRequestRef.current = {
+    email,
+    needsEmailVerification,
+    sendCode,
+    navigateTo,
+  };
+
+  // Send the first code once we know the email isn't already verified; the
+  // modal may have picked this screen before the stored state had loaded
+  useEffect(() => {
+    if (!emailVerificationsLoaded || hasRequestedRef.current) {
+      return;
+    }
+    hasRequestedRef.current = true;
+    const request = firstRequestRef.current;
+    if (!request.needsEmailVerification(request.email)) {
+      request.navigateTo('Conversations');
+      return;
+    }
+    request.sendCode();
+  }, [emailVerificationsLoaded]);
+
+  const handleVerify = async () => {
+    const trimmedCode = code.trim();
+    if (!trimmedCode) {
+      setErrorMessage('Please enter the code we emailed you.');
+      return;
+    }
+    setErrorMessage('');
+    setIsVerifying(true);
+    const success = await verifyEmailCode(email, trimmedCode);
+    setIsVerifying(false);
+    if (success) {
+      navigateTo('Conversations');
+    } else {
+      setErrorMessage('That code is incorrect or has expired.');
+    }
+  };
+
+  const buttonColor = chatThemeColor || '#2196F3';
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.keyboardAvoidingContainer}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.container}>
+        <Text style={styles.instructionText}>Confirm your email</Text>
+        <Text style={styles.subText}>
+          {codeSent
+            ? `Enter the code we sent to ${email} to see your past conversations.`
+            : `We'll send a code to ${email} to confirm it's you.`}
+        </Text>
+
+        {errorMessage ? (
+          <Text style={styles.errorText}>{errorMessage}</Text>
+        ) : null}
+
+        <TextInput
+          style={styles.input}
+          placeholder="Verification code"
+          keyboardType="number-pad"
+          autoComplete="one-time-code"
+          textContentType="oneTimeCode"
+          value={code}
+          onChangeText={setCode}
+          editable={!isVerifying}
+        />
+
+        <TouchableOpacity
+          style={[
+            styles.verifyButton,
+            { backgroundColor: buttonColor },
+            isVerifying && styles.buttonDisabled,
+          ]}
+          onPress={handleVerify}
+          disabled={isVerifying}
+        >
+          {isVerifying ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text style={styles.verifyButtonText}>Verify</Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.resendButton}
+          onPress={sendCode}
+          disabled={isSending}
+        >
+          {isSending ? (
+            <ActivityIndicator color={buttonColor} />
+          ) : (
+            <Text style={[styles.resendButtonText, { color: buttonColor }]}>
+              {codeSent ? 'Send a new code' : 'Send code'}
+            </Text>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  keyboardAvoidingContainer: {
+    flex: 1,
+  },
+  container: {
+    flexGrow: 1,
+    backgroundColor: '#fff',
+    padding: 20,
+    justifyContent: 'center',
+  },
+  instructionText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  subText: {
+    fontSize: 15,
+    color: '#666',
+    marginBottom: 30,
+    textAlign: 'center',
+  },
+  errorText: {
+    color: 'red',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    fontSize: 20,
+    letterSpacing: 4,
+    textAlign: 'center',
+    color: '#333',
+  },
+  verifyButton: {
+    paddingVertical: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 20,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 3,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  verifyButtonText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  resendButton: {
+    alignItems: 'center',
+    marginTop: 20,
+    paddingVertical: 10,
+  },
+  resendButtonText: {
+    fontSize: 16,
+  },
+});
+
+export default VerifyEmailScreen;
@@ -0,0 +1,78 @@
+// src/storage/adapters.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Where the SDK persists its data: sessions, cached transcripts, the outbox
+ * and preferences. Values are strings; every method may return a promise.
+ *
+ * @typedef {object} CuoralStorageAdapter
+ * @property {(key: string) => Promise<string|null>} getItem - Resolves with null for a missing key.
+ * @property {(key: string, value: string) => Promise<void>} setItem
+ * @property {(key: string) => Promise<void>} removeItem
+ */
+
+/** Stores data in `@react-native-async-storage/async-storage`. The default. */
+export const asyncStorageAdapter = {
+  getItem: (key) => AsyncStorage.getItem(key),
+  setItem: (key, value) => AsyncStorage.setItem(key, value),
+  removeItem: (key) => AsyncStorage.removeItem(key),
+};
+
+// SecureStore keys may only contain letters, digits, '.', '-' and '_'. Every
+// other character (and '_' itself) is escaped as `_<hex char code>_`, so two
+// different keys never map to the same one.
+const toSecureStoreKey = (key) =>
+  key.replace(
+    /[^A-Za-z0-9.-]/g,
+    (char) => `_${char.charCodeAt(0).toString(16)}_`
+  );
+
+/**
+ * Stores data in the device keychain / keystore with `expo-secure-store`, for
+ * apps that treat session ids as credentials. SecureStore is meant for small
+ * values and warns about ones over 2 KB, such as cached transcripts.
+ *
+ * @param {object} SecureStore - The `expo-secure-store` module, e.g. `import * as SecureStore from 'expo-secure-store'`.
+ * @param {object} [options] - SecureStore options such as `keychainAccessible`, passed to every call.
+ * @returns {CuoralStorageAdapter}
+ */
+export const createSecureStoreAdapter = (SecureStore, options) => ({
+  getItem: (key) => SecureStore.getItemAsync(toSecureStoreKey(key), options),
+  setItem: (key, value) =>
+    SecureStore.setItemAsync(toSecureStoreKey(key), value, options),
+  removeItem: (key) =>
+    SecureStore.deleteItemAsync(toSecureStoreKey(key), options),
+});
+
+/**
+ * Stores data in a `react-native-mmkv` instance.
+ *
+ * @param {object} mmkv - An MMKV instance, e.g. `new MMKV({ id: 'cuoral' })`.
+ * @returns {CuoralStorageAdapter}
+ */
+export const createMMKVAdapter = (mmkv) => ({
+  getItem: async (key) => mmkv.getString(key) ?? null,
+  setItem: async (key, value) => mmkv.set(key, value),
+  // `delete` was renamed to `remove` in react-native-mmkv 4
+  removeItem: async (key) =>
+    mmkv.remove ? mmkv.remove(key) : mmkv.delete(key),
+});
+
+/**
+ * Keeps data in memory only, e.g. for tests or to persist nothing at all.
+ *
+ * @param {object} [initialValues] - Values to start with, keyed by storage key.
+ * @returns {CuoralStorageAdapter}
+ */
+export const createMemoryAdapter = (initialValues = {}) => {
+  const values = new Map(Object.entries(initialValues));
+  return {
+    getItem: async (key) => (values.has(key) ? values.get(key) : null),
+    setItem: async (key, value) => {
+      values.set(key, value);
+    },
+    removeItem: async (key) => {
+      values.delete(key);
+    },
+  };
+};
@@ -0,0 +1,105 @@
+// src/storage/cuoralStorage.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { asyncStorageAdapter } from './adapters';
+
+// Namespace for users the host app hasn't identified
+export const ANONYMOUS_USER_ID = 'anonymous';
+
+// Keys the SDK stored before storage was namespaced all start with this prefix
+const LEGACY_KEY_PREFIX = 'cuoral_';
+
+// Legacy keys that hold device preferences rather than a user's data, so they
+// move to the public key's namespace instead of the user's
+const SHARED_LEGACY_KEYS = ['cuoral_sound_muted', 'cuoral_email_verifications'];
+
+/**
+ * Turns a user's email into the id their data is stored under.
+ *
+ * @param {string} [email] - Email of the user the host app identified.
+ * @returns {string}
+ */
+export const getStorageUserId = (email) =>
+  (email || '').trim().toLowerCase() || ANONYMOUS_USER_ID;
+
+const createScope = (adapter, suffix) => {
+  const toKey = (name) => `${name}:${suffix}`;
+  return {
+    getItem: async (name) => (await adapter.getItem(toKey(name))) ?? null,
+    setItem: (name, value) => adapter.setItem(toKey(name), value),
+    removeItem: (name) => adapter.removeItem(toKey(name)),
+    multiRemove: (names) =>
+      Promise.all(names.map((name) => adapter.removeItem(toKey(name)))),
+  };
+};
+
+/**
+ * Creates the storage every persisted value goes through, namespaced so apps
+ * with several public keys or users on one device don't overwrite each
+ * other's sessions. Values are stored under `<name>:<publicKey>:<userId>`;
+ * `shared` holds device preferences under `<name>:<publicKey>`.
+ *
+ * @param {object} options
+ * @param {object} [options.adapter] - A `CuoralStorageAdapter`; AsyncStorage if omitted.
+ * @param {string} options.publicKey - The organisation's public key.
+ * @param {string} [options.userId] - From `getStorageUserId`; anonymous if omitted.
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function,
+ *   multiRemove: Function, shared: object, publicKey: string, userId: string}}
+ */
+export const createCuoralStorage = ({
+  adapter = asyncStorageAdapter,
+  publicKey,
+  userId = ANONYMOUS_USER_ID,
+}) => ({
+  ...createScope(adapter, `${publicKey}:${userId}`),
+  shared: createScope(adapter, publicKey),
+  publicKey,
+  userId,
+});
+
+let legacyMigration = null;
+
+const moveLegacyKeys = async (storage) => {
+  const keys = await AsyncStorage.getAllKeys();
+  const legacyKeys = keys.filter(
+    (key) => key.startsWith(LEGACY_KEY_PREFIX) && !key.includes(':')
+  );
+  if (legacyKeys.length === 0) {
+    return;
+  }
+
+  const entries = await AsyncStorage.multiGet(legacyKeys);
+  await Promise.all(
+    entries.map(async ([name, value]) => {
+      if (value === null) {
+        return;
+      }
+      const scope = SHARED_LEGACY_KEYS.includes(name)
+        ? storage.shared
+        : storage;
+      // Never overwrite data already stored in the namespace
+      if ((await scope.getItem(name)) === null) {
+        await scope.setItem(name, value);
+      }
+    })
+  );
+  await AsyncStorage.multiRemove(legacyKeys);
+};
+
+/**
+ * Moves data stored by SDK versions without namespaces (e.g. the global
+ * `cuoral_session_id`) from AsyncStorage, which those versions always used,
+ * into `storage`, so upgrading keeps the user's conversation. Runs once per
+ * app launch; the first storage to ask receives the data. If the move fails it
+ * is tried again on the next call.
+ *
+ * @param {object} storage - From `createCuoralStorage`.
+ * @returns {Promise<void>}
+ */
+export const migrateLegacyStorage = (storage) => {
+  if (!legacyMigration) {
+    legacyMigration = moveLegacyKeys(storage).catch(() => {
+      legacyMigration = null;
+    });
+  }
+  return legacyMigration;
+};